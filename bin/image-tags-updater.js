@@ -0,0 +1,449 @@
+#!/usr/bin/env node
+// Tag a folder of images from a metadata sheet without opening the browser:
+//   image-tags-updater --sheet meta.xlsx --images ./in --out ./out
+// With --sidecars the images are left as they are and an .xmp sidecar is
+// written for each one instead. With --wordpress each updated image is also
+// uploaded to a WordPress media library.
+import { mkdir, readdir, readFile, stat, writeFile } from "node:fs/promises";
+import path from "node:path";
+import { parseArgs } from "node:util";
+import { DOMParser, XMLSerializer } from "@xmldom/xmldom";
+import {
+  buildMatcher,
+  buildSidecarXmp,
+  buildVocabulary,
+  configureXml,
+  DEFAULT_TRANSLITERATION,
+  formatForFileName,
+  IMAGE_FORMATS,
+  imageFormat,
+  MATCH_DEFAULTS,
+  COLLISION_POLICIES,
+  NAMING_DEFAULTS,
+  parseDateShift,
+  parseSheetSource,
+  resolveTransliteration,
+  planOutputNames,
+  planSidecarNames,
+  mediaEndpoint,
+  mediaFields,
+  mismatchText,
+  preflightIssues,
+  publishMedia,
+  readMetadata,
+  reportFile,
+  rowValues,
+  segmentChanges,
+  sheetRows,
+  shiftedValues,
+  STRIP_CATEGORIES,
+  STRIP_DEFAULTS,
+  stripMetadata,
+  TRANSLITERATION_PROFILES,
+  utf8,
+  verifyMetadata,
+  verifySidecar,
+  withRights,
+  WORDPRESS_DEFAULTS,
+  writeMetadata,
+} from "../src/lib/index.js";
+
+const USAGE = `Usage: image-tags-updater --sheet <file> --images <dir> --out <dir> [options]
+
+Options:
+  --sheet <file>        Metadata source (XLSX, XLS, ODS, CSV, TSV or JSON)
+  --images <dir>        Folder with the JPEG, PNG, WebP or TIFF images to tag
+  --out <dir>           Folder for the updated images (created if missing)
+  --report <file>       Write a processing report with one row per image
+                        (.xlsx, otherwise CSV)
+  --sidecars            Leave the images unchanged and write an .xmp sidecar
+                        per image to --out; any file with a matching row is
+                        accepted, RAW files included
+  --sheet-name <name>   Worksheet to read (default: first sheet)
+  --header-row <n>      Row holding the column headers (default: 1)
+  --mapping <file>      JSON column mapping: [{"column": "...", "target": "..."}]
+  --match <list>        Filename matching strategies, comma-separated:
+                        extension, diacritics, separators, patterns
+  --template <text>     Output name template for rows without an Output file
+                        name, e.g. "{Title|slug}-{index:03}"
+  --collisions <policy> Output name collisions: suffix (default), skip or fail
+  --default-language <tag>
+                        Language of "Title [tag]"-style columns written as
+                        the XMP x-default entry (default: untagged column)
+  --iptc-language <tag> Language written to the single-valued IPTC and EXIF
+                        fields (default: the x-default text)
+  --vocabulary <file>   Keyword vocabulary sheet with a Keyword column
+                        ("Parent|Child" paths) and optional Synonyms; keywords
+                        are normalized and unknown ones reported
+  --rights <file>       JSON rights preset applied to every image:
+                        {"Creator", "Copyright", "Credit", "Usage terms",
+                        "Web statement"}; non-empty cells override it
+  --transliteration <id>
+                        Profile for EXIF ASCII text and file names: serbian
+                        (default), croatian, german, hungarian or none
+  --transliteration-table <file>
+                        JSON table {"from": "to"} applied over the profile
+  --shift-dates <shift> Move each file's existing capture date, e.g. "+1:30"
+                        or --shift-dates=-1d2h; rows with a Date taken are
+                        not shifted
+  --strip <list>        Remove existing metadata before tagging, comma-separated:
+                        location, device, thumbnails, makerNotes, xmpHistory,
+                        icc; "default" selects all but icc
+  --replace-xmp         Replace existing XMP instead of merging into it
+  --ignore-preflight    Process the images even when the preflight check finds
+                        errors (they are printed either way)
+  --wordpress <url>     Upload each updated image to this WordPress site's
+                        media library and set its title, caption,
+                        description and alt text from the row
+  --wp-user <name>      WordPress username; the application password is read
+                        from the WP_APP_PASSWORD environment variable
+  --dry-run             With --wordpress, print what would be published
+                        without uploading anything
+  --retries <n>         Retries for failed WordPress requests (default: 2)
+  -h, --help            Show this help`;
+
+const MATCH_FLAGS = {
+  extension: "ignoreExtension",
+  diacritics: "foldDiacritics",
+  separators: "normalizeSeparators",
+  patterns: "patterns",
+};
+
+// Values for one file's sidecar. A date shift needs the file's own capture
+// date, which is read when the file is in a format the app understands (RAW
+// files built on TIFF usually are).
+const sidecarValues = async (file, values, dateShift) => {
+  if (!dateShift) return values;
+  const bytes = new Uint8Array(await readFile(file));
+  let existing = null;
+  try {
+    existing = imageFormat(bytes) ? readMetadata(bytes) : null;
+  } catch {
+    // No readable date; the row's values are written unshifted
+  }
+  return shiftedValues(values, existing, dateShift);
+};
+
+const main = async () => {
+  const { values: args } = parseArgs({
+    options: {
+      sheet: { type: "string" },
+      images: { type: "string" },
+      out: { type: "string" },
+      "sheet-name": { type: "string" },
+      "header-row": { type: "string", default: "1" },
+      mapping: { type: "string" },
+      match: { type: "string", default: "" },
+      template: { type: "string", default: "" },
+      collisions: { type: "string", default: NAMING_DEFAULTS.collisions },
+      "default-language": { type: "string", default: "" },
+      "iptc-language": { type: "string", default: "" },
+      vocabulary: { type: "string" },
+      rights: { type: "string" },
+      transliteration: { type: "string", default: DEFAULT_TRANSLITERATION },
+      "transliteration-table": { type: "string" },
+      "shift-dates": { type: "string", default: "" },
+      strip: { type: "string" },
+      "replace-xmp": { type: "boolean", default: false },
+      sidecars: { type: "boolean", default: false },
+      report: { type: "string" },
+      "ignore-preflight": { type: "boolean", default: false },
+      wordpress: { type: "string" },
+      "wp-user": { type: "string", default: "" },
+      "dry-run": { type: "boolean", default: false },
+      retries: { type: "string", default: String(WORDPRESS_DEFAULTS.retries) },
+      help: { type: "boolean", short: "h", default: false },
+    },
+  });
+  if (args.help) {
+    console.log(USAGE);
+    return 0;
+  }
+  if (!args.sheet || !args.images || !args.out) {
+    console.error(USAGE);
+    return 2;
+  }
+
+  let wordpress = null;
+  if (args.wordpress) {
+    if (args.sidecars) {
+      throw new Error("XMP sidecars cannot be published to WordPress.");
+    }
+    wordpress = {
+      siteUrl: args.wordpress,
+      username: args["wp-user"],
+      password: process.env.WP_APP_PASSWORD || "",
+    };
+    // Fails early on an address that is not a URL
+    mediaEndpoint(wordpress.siteUrl);
+    if (!args["dry-run"] && (!wordpress.username || !wordpress.password)) {
+      throw new Error(
+        "Publishing needs --wp-user and the WP_APP_PASSWORD environment variable."
+      );
+    }
+  }
+  const retries = Math.max(0, Number(args.retries) || 0);
+
+  configureXml({ DOMParser, XMLSerializer });
+
+  const wb = parseSheetSource(
+    path.basename(args.sheet),
+    new Uint8Array(await readFile(args.sheet))
+  );
+  const sheetName = args["sheet-name"] || wb.SheetNames[0];
+  if (!wb.Sheets[sheetName]) {
+    throw new Error(`Sheet "${sheetName}" not found in ${args.sheet}.`);
+  }
+  const headerRow = Math.max(1, Number(args["header-row"]) || 1);
+  const rows = sheetRows(wb, sheetName, headerRow);
+  const mappings = args.mapping
+    ? JSON.parse(await readFile(args.mapping, "utf8"))
+    : [];
+  const matchOptions = { ...MATCH_DEFAULTS };
+  for (const name of args.match.split(",").filter(Boolean)) {
+    const key = MATCH_FLAGS[name.trim()];
+    if (!key) throw new Error(`Unknown matching strategy "${name}".`);
+    matchOptions[key] = true;
+  }
+  if (!COLLISION_POLICIES.includes(args.collisions)) {
+    throw new Error(`Unknown collision policy "${args.collisions}".`);
+  }
+  if (!TRANSLITERATION_PROFILES[args.transliteration]) {
+    throw new Error(
+      `Unknown transliteration profile "${args.transliteration}".`
+    );
+  }
+  const transliteration = args["transliteration-table"]
+    ? resolveTransliteration("table", {
+        table: {
+          base: args.transliteration,
+          table: JSON.parse(
+            await readFile(args["transliteration-table"], "utf8")
+          ),
+        },
+      })
+    : TRANSLITERATION_PROFILES[args.transliteration];
+  const matcher = buildMatcher(rows, mappings, matchOptions, transliteration);
+  const dateShift = parseDateShift(args["shift-dates"]);
+  const rights = args.rights
+    ? JSON.parse(await readFile(args.rights, "utf8"))
+    : {};
+  let strip = null;
+  if (args.strip) {
+    strip = { ...STRIP_DEFAULTS, enabled: true };
+    const list = args.strip.split(",").map((s) => s.trim());
+    if (!list.includes("default")) {
+      for (const [key] of STRIP_CATEGORIES) strip[key] = list.includes(key);
+    }
+    const known = new Set(["default", ...STRIP_CATEGORIES.map(([k]) => k)]);
+    const unknown = list.find((s) => !known.has(s));
+    if (unknown) throw new Error(`Unknown strip category "${unknown}".`);
+  }
+  let vocabulary = null;
+  if (args.vocabulary) {
+    const vocabularyWb = parseSheetSource(
+      path.basename(args.vocabulary),
+      new Uint8Array(await readFile(args.vocabulary))
+    );
+    vocabulary = buildVocabulary(
+      sheetRows(vocabularyWb, vocabularyWb.SheetNames[0], 1)
+    );
+  }
+  const languages = {
+    xDefault: args["default-language"],
+    legacy: args["iptc-language"],
+  };
+  const naming = {
+    ...NAMING_DEFAULTS,
+    template: args.template,
+    collisions: args.collisions,
+  };
+
+  // Sidecars can be written for any file the sheet names, such as RAW files
+  const files = (await readdir(args.images)).filter((f) =>
+    args.sidecars
+      ? !/\.xmp$/i.test(f) && (formatForFileName(f) || matcher.match(f))
+      : formatForFileName(f)
+  );
+  const issues = preflightIssues(rows, files, mappings, {
+    matchOptions,
+    naming,
+    transliteration,
+    rights,
+    languages,
+    vocabulary,
+    sidecars: args.sidecars,
+  });
+  for (const issue of issues) {
+    console.warn(`${issue.severity.padEnd(8)} ${issue.message}`);
+  }
+  // Errors stop the run as they keep "Apply Metadata" disabled in the app;
+  // --ignore-preflight stands in for acknowledging them
+  const errors = issues.filter((i) => i.severity === "error").length;
+  if (errors && !args["ignore-preflight"]) {
+    console.error(
+      `Preflight check found ${errors} error(s); fix the sheet or pass --ignore-preflight.`
+    );
+    return 1;
+  }
+  await mkdir(args.out, { recursive: true });
+
+  const batch = files.map((name) => {
+    const matched = matcher.match(name);
+    return {
+      fileName: name,
+      row: matched ? withRights(matched.row, rights, mappings) : null,
+      rowNumbers: matched?.entries.map((e) => e.number).join(", ") || "",
+    };
+  });
+  const plan = args.sidecars
+    ? planSidecarNames(files).map((name) => ({ name, status: "ok" }))
+    : planOutputNames(batch, mappings, naming, transliteration);
+
+  let updated = 0;
+  let warned = 0;
+  let skipped = 0;
+  let failed = 0;
+  let published = 0;
+  let unpublished = 0;
+  const report = [];
+  for (const [i, { fileName: name, row, rowNumbers }] of batch.entries()) {
+    const out = plan[i];
+    const file = path.join(args.images, name);
+    const entry = { source: name, rowNumbers, status: "error" };
+    report.push(entry);
+    entry.bytesBefore = (await stat(file)).size;
+    if (!row) {
+      entry.error = "No matching row in sheet.";
+      console.error(`error    ${name}: ${entry.error}`);
+      failed++;
+      continue;
+    }
+    if (out.status === "failed") {
+      entry.error = `Output name ${out.name} collides with ${out.conflict}.`;
+      console.error(`error    ${name}: ${entry.error}`);
+      failed++;
+      continue;
+    }
+    if (out.status === "skipped") {
+      entry.status = "skipped";
+      entry.error = `${out.name} is already used by ${out.conflict}.`;
+      console.warn(`skipped  ${name}: ${entry.error}`);
+      skipped++;
+      continue;
+    }
+    try {
+      const values = rowValues(
+        row,
+        name,
+        mappings,
+        transliteration,
+        languages,
+        vocabulary
+      );
+      // Every output is read back and compared with what the row meant
+      let output;
+      let verified;
+      let removed = [];
+      if (args.sidecars) {
+        const shifted = await sidecarValues(file, values, dateShift);
+        output = buildSidecarXmp(shifted);
+        verified = verifySidecar(output, shifted);
+      } else {
+        const original = new Uint8Array(await readFile(file));
+        let source = original;
+        if (strip) ({ bytes: source, removed } = stripMetadata(source, strip));
+        const options = { mergeXmp: !args["replace-xmp"], dateShift };
+        output = writeMetadata(source, values, options);
+        verified = verifyMetadata(source, output, values, options);
+        entry.segments = segmentChanges(original, output);
+      }
+      await writeFile(path.join(args.out, out.name), output);
+      const { fields, mismatches } = verified;
+      Object.assign(entry, {
+        output: out.name,
+        status: mismatches.length ? "warning" : "updated",
+        fields,
+        mismatches,
+        bytesAfter:
+          typeof output === "string" ? utf8(output).length : output.length,
+      });
+      const renamed = out.status === "renamed" ? " (renamed)" : "";
+      if (mismatches.length) {
+        console.warn(
+          `warning  ${name} -> ${out.name}${renamed}: ${mismatches.length} field(s) did not verify`
+        );
+        for (const m of mismatches) console.warn(`         ${mismatchText(m)}`);
+        warned++;
+      } else {
+        console.log(`updated  ${name} -> ${out.name}${renamed}`);
+        updated++;
+      }
+      if (removed.length) console.log(`         removed ${removed.join(", ")}`);
+      if (wordpress) {
+        const media = {
+          fileName: out.name,
+          data: output,
+          mime: IMAGE_FORMATS[formatForFileName(out.name)].mime,
+          fields: mediaFields(values),
+        };
+        try {
+          const result = await publishMedia(wordpress, media, {
+            dryRun: args["dry-run"],
+            retries,
+            onRetry: (attempt, err) =>
+              console.warn(
+                `retry    ${out.name}: ${err.message} (${attempt} of ${retries})`
+              ),
+          });
+          if (result.dryRun) {
+            console.log(
+              `dry run  ${out.name} -> ${result.endpoint} ${JSON.stringify(
+                result.fields
+              )}`
+            );
+          } else {
+            entry.media = result;
+            console.log(
+              `published ${out.name} -> media #${result.id} ${result.url}`
+            );
+            published++;
+          }
+        } catch (err) {
+          if (err.mediaId) entry.media = { id: err.mediaId, url: "" };
+          entry.error = err?.message || String(err);
+          console.error(`error    ${name}: ${entry.error}`);
+          unpublished++;
+        }
+      }
+    } catch (err) {
+      entry.error = err?.message || String(err);
+      console.error(`error    ${name}: ${entry.error}`);
+      failed++;
+    }
+  }
+  if (args.report) {
+    await writeFile(args.report, reportFile(report, args.report));
+    console.log(`report   ${args.report}`);
+  }
+  console.log(
+    `${updated} updated, ${warned} with warnings, ${skipped} skipped, ${failed} failed, ${
+      files.length
+    } total${
+      wordpress && !args["dry-run"]
+        ? `; ${published} published, ${unpublished} not published`
+        : ""
+    }`
+  );
+  const passed = !warned && !failed && !unpublished;
+  console.log(passed ? "Batch passed" : "Batch failed");
+  return passed ? 0 : 1;
+};
+
+main().then(
+  (code) => process.exit(code),
+  (err) => {
+    console.error(err?.message || err);
+    process.exit(1);
+  }
+);
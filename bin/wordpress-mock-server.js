@@ -0,0 +1,216 @@
+#!/usr/bin/env node
+// Stand-in for a WordPress media library, for trying --wordpress and the
+// app's publish panel without a site:
+//   npm run wordpress-mock -- --port 8787 --user editor --password "abcd efgh"
+// Uploads and field updates are kept in memory and logged; GET
+// /wp-json/wp/v2/media lists them. --fail <n> answers the first n uploads
+// and field updates with 503 to exercise retries, and --fail-after-store <n>
+// stores the first n uploads but still answers 503, as a server that fails
+// after saving the file would, to check that no duplicate is uploaded.
+import { createServer } from "node:http";
+import { parseArgs } from "node:util";
+
+const USAGE = `Usage: wordpress-mock-server [options]
+
+Options:
+  --port <n>            Port to listen on (default: 8787)
+  --user <name>         Username to accept (default: admin)
+  --password <text>     Application password to accept (default: mock pass)
+  --fail <n>            Answer the first n uploads and field updates with 503
+                        Service Unavailable, storing nothing
+  --fail-after-store <n>
+                        Store the first n uploads, then answer them with 503
+  --retry-after <s>     Send Retry-After: s with the --fail answers, which
+                        lets the app retry uploads too
+  -h, --help            Show this help`;
+
+const MEDIA_PATH = /^\/wp-json\/wp\/v2\/media(?:\/(\d+))?\/?$/;
+
+const readBody = (req) =>
+  new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on("data", (chunk) => chunks.push(chunk));
+    req.on("end", () => resolve(Buffer.concat(chunks)));
+    req.on("error", reject);
+  });
+
+// Filename of an upload, read the way WordPress reads it
+const dispositionFileName = (header = "") => {
+  const m = header.match(/filename=("?)([^";]+)\1/);
+  return m ? m[2].trim() : null;
+};
+
+// A stored item in the shape WordPress answers with
+const mediaResponse = (item, origin) => ({
+  id: item.id,
+  date: item.date,
+  slug: item.fileName.replace(/\.[^.]*$/, "").toLowerCase(),
+  link: `${origin}/?attachment_id=${item.id}`,
+  title: { raw: item.title, rendered: item.title },
+  caption: { raw: item.caption, rendered: item.caption },
+  description: { raw: item.description, rendered: item.description },
+  alt_text: item.alt_text,
+  mime_type: item.mime,
+  media_details: { filesize: item.size },
+  source_url: `${origin}/wp-content/uploads/${item.fileName}`,
+});
+
+const main = () => {
+  const { values: args } = parseArgs({
+    options: {
+      port: { type: "string", default: "8787" },
+      user: { type: "string", default: "admin" },
+      password: { type: "string", default: "mock pass" },
+      fail: { type: "string", default: "0" },
+      "fail-after-store": { type: "string", default: "0" },
+      "retry-after": { type: "string" },
+      help: { type: "boolean", short: "h", default: false },
+    },
+  });
+  if (args.help) {
+    console.log(USAGE);
+    return;
+  }
+  // WordPress ignores the spaces it shows application passwords with
+  const password = args.password.replace(/\s/g, "");
+  let failures = Math.max(0, Number(args.fail) || 0);
+  let storeFailures = Math.max(0, Number(args["fail-after-store"]) || 0);
+  const media = [];
+
+  const server = createServer(async (req, res) => {
+    const origin = `http://${req.headers.host}`;
+    const send = (status, body, headers = {}) => {
+      res.writeHead(status, {
+        ...headers,
+        "Content-Type": "application/json; charset=UTF-8",
+        // The app calls the API from another origin, as it would a real site
+        "Access-Control-Allow-Origin": req.headers.origin || "*",
+        "Access-Control-Allow-Headers":
+          "Authorization, Content-Type, Content-Disposition",
+        "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+      });
+      res.end(body === undefined ? "" : JSON.stringify(body));
+    };
+    const fail = (status, code, message, headers) =>
+      send(status, { code, message }, headers);
+    const log = (status, text) =>
+      console.log(
+        `${status} ${req.method} ${req.url}${text ? ` ${text}` : ""}`
+      );
+
+    if (req.method === "OPTIONS") return send(204);
+    const route = new URL(req.url, origin).pathname.match(MEDIA_PATH);
+    if (!route) {
+      log(404);
+      return fail(404, "rest_no_route", "No route was found.");
+    }
+    const body = await readBody(req);
+    if (req.method === "GET") {
+      const id = Number(route[1]);
+      if (!id) {
+        return send(
+          200,
+          media.map((m) => mediaResponse(m, origin))
+        );
+      }
+      const item = media.find((m) => m.id === id);
+      if (!item) return fail(404, "rest_post_invalid_id", "Invalid post ID.");
+      return send(200, mediaResponse(item, origin));
+    }
+    if (req.method !== "POST") {
+      log(405);
+      return fail(405, "rest_no_route", "Method not allowed.");
+    }
+    const [user, pass] = Buffer.from(
+      (req.headers.authorization || "").replace(/^Basic /, ""),
+      "base64"
+    )
+      .toString("utf8")
+      .split(/:(.*)/s);
+    if (user !== args.user || (pass || "").replace(/\s/g, "") !== password) {
+      log(401);
+      return fail(
+        401,
+        "incorrect_password",
+        "The provided password is an invalid application password."
+      );
+    }
+    const unavailable = (option, headers) => {
+      log(503, `(${option})`);
+      return fail(
+        503,
+        "mock_unavailable",
+        "Service temporarily unavailable.",
+        headers
+      );
+    };
+    if (failures > 0) {
+      failures--;
+      return unavailable(
+        "--fail",
+        args["retry-after"] ? { "Retry-After": args["retry-after"] } : {}
+      );
+    }
+
+    if (!route[1]) {
+      const fileName = dispositionFileName(req.headers["content-disposition"]);
+      if (!fileName) {
+        log(400);
+        return fail(
+          400,
+          "rest_upload_no_content_disposition",
+          "No Content-Disposition supplied."
+        );
+      }
+      if (!body.length) {
+        log(400);
+        return fail(400, "rest_upload_no_data", "No data supplied.");
+      }
+      const item = {
+        id: media.length + 1,
+        date: new Date().toISOString().slice(0, 19),
+        fileName,
+        mime: req.headers["content-type"] || "",
+        size: body.length,
+        title: fileName.replace(/\.[^.]*$/, ""),
+        caption: "",
+        description: "",
+        alt_text: "",
+      };
+      media.push(item);
+      if (storeFailures > 0) {
+        storeFailures--;
+        return unavailable(`--fail-after-store, stored as #${item.id}`);
+      }
+      log(201, `${fileName} (${body.length} bytes) -> #${item.id}`);
+      return send(201, mediaResponse(item, origin));
+    }
+
+    const item = media.find((m) => m.id === Number(route[1]));
+    if (!item) {
+      log(404);
+      return fail(404, "rest_post_invalid_id", "Invalid post ID.");
+    }
+    let fields;
+    try {
+      fields = JSON.parse(body.toString("utf8") || "{}");
+    } catch {
+      log(400);
+      return fail(400, "rest_invalid_json", "Invalid JSON body passed.");
+    }
+    for (const key of ["title", "caption", "description", "alt_text"]) {
+      if (typeof fields[key] === "string") item[key] = fields[key];
+    }
+    log(200, `#${item.id} ${JSON.stringify(fields)}`);
+    return send(200, mediaResponse(item, origin));
+  });
+
+  const port = Number(args.port) || 8787;
+  server.listen(port, () =>
+    console.log(
+      `Mock WordPress media library at http://localhost:${port} (user "${args.user}")`
+    )
+  );
+};
+
+main();
@@ -1,424 +1,1203 @@
 import { useMemo, useRef, useState } from "react";
 import * as XLSX from "xlsx";
-import piexif from "piexifjs";
 import JSZip from "jszip";
 import { saveAs } from "file-saver";
+import {
+  buildMatcher,
+  buildSidecarXmp,
+  buildVocabulary,
+  accessibilityWarnings,
+  COLLISION_POLICIES,
+  columnLanguage,
+  DEFAULT_TRANSLITERATION,
+  diffMetadata,
+  EDITABLE_FIELDS,
+  editedSheetRows,
+  existingToRow,
+  exportHeaders,
+  formatForFileName,
+  formatTransliterationTable,
+  getField,
+  IMAGE_ACCEPT,
+  IMAGE_FORMATS,
+  LANGUAGE_DEFAULTS,
+  MATCH_DEFAULTS,
+  mediaFields,
+  METADATA_TARGETS,
+  NAMING_DEFAULTS,
+  parseDateShift,
+  parseSheetSource,
+  parseTransliterationTable,
+  planOutputNames,
+  planSidecarNames,
+  preflightIssues,
+  publishMedia,
+  readMetadata,
+  reportFile,
+  resolveTransliteration,
+  resolveHeaderKey,
+  RIGHTS_FIELDS,
+  rowValues,
+  sheetRows,
+  shiftedValues,
+  sidecarFields,
+  SLUG_DEFAULTS,
+  STRIP_CATEGORIES,
+  STRIP_DEFAULTS,
+  TRANSLITERATION_PROFILES,
+  verifySidecar,
+  withEdits,
+  withRights,
+  WORDPRESS_DEFAULTS,
+} from "./lib/index.js";
+import { processInWorkers } from "./workerPool.js";
 import "./App.css";
 
-const fileToDataURL = (file) =>
-  new Promise((resolve, reject) => {
-    const reader = new FileReader();
-    reader.onload = () => resolve(reader.result);
-    reader.onerror = reject;
-    reader.readAsDataURL(file);
-  });
+// Accepted metadata sources: spreadsheets, delimited text and JSON arrays
+const SHEET_ACCEPT = [
+  ".xlsx",
+  ".xls",
+  ".ods",
+  ".csv",
+  ".tsv",
+  ".txt",
+  ".json",
+  "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  "application/vnd.ms-excel",
+  "application/vnd.oasis.opendocument.spreadsheet",
+  "text/csv",
+  "text/tab-separated-values",
+  "application/json",
+].join(",");
 
-function dataURLToBlob(dataURL) {
-  const parts = dataURL.split(",");
-  const mime = parts[0].match(/:(.*?);/)?.[1] || "image/jpeg";
-  const bstr = atob(parts[1]);
-  const u8arr = new Uint8Array(bstr.length);
-  for (let i = 0; i < bstr.length; i++) u8arr[i] = bstr.charCodeAt(i);
-  return new Blob([u8arr], { type: mime });
-}
+// Filename matching strategies offered next to the merge option
+const MATCH_OPTIONS = [
+  ["ignoreExtension", "Ignore extension"],
+  ["foldDiacritics", "Fold diacritics"],
+  ["normalizeSeparators", "Spaces, dashes and underscores alike"],
+  ["patterns", "Wildcard and /regex/ rows"],
+];
 
-// UTF-8 encoder
-const utf8 = (s) => new TextEncoder().encode(s);
-
-// Basic XML escape
-const xmlEscape = (s = "") =>
-  s
-    .replace(/&/g, "&amp;")
-    .replace(/</g, "&lt;")
-    .replace(/>/g, "&gt;")
-    .replace(/"/g, "&quot;")
-    .replace(/'/g, "&apos;");
-
-// Build minimal XMP packet for Title/Description/Keywords (Adobe-compatible)
-const buildXmpXml = (title, description, keywordsArr) => {
-  const kws = (keywordsArr || []).filter(Boolean);
-  const bagItems = kws.map((k) => `<rdf:li>${xmlEscape(k)}</rdf:li>`).join("");
-  const inner =
-    `<x:xmpmeta xmlns:x="adobe:ns:meta/">` +
-    `<rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">` +
-    `<rdf:Description xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:xmp="http://ns.adobe.com/xap/1.0/">` +
-    `<dc:title><rdf:Alt><rdf:li xml:lang="x-default">${xmlEscape(
-      title || ""
-    )}</rdf:li></rdf:Alt></dc:title>` +
-    `<dc:description><rdf:Alt><rdf:li xml:lang="x-default">${xmlEscape(
-      description || ""
-    )}</rdf:li></rdf:Alt></dc:description>` +
-    `<dc:subject><rdf:Bag>${bagItems}</rdf:Bag></dc:subject>` +
-    `</rdf:Description>` +
-    `</rdf:RDF>` +
-    `</x:xmpmeta>`;
-  // Include xpacket envelope for maximum Adobe compatibility
-  return (
-    `<?xpacket begin="\uFEFF" id="W5M0MpCehiHzreSzNTczkc9d"?>` +
-    inner +
-    `<?xpacket end="w"?>`
-  );
-};
+// Leave a core for the UI thread; more than four workers rarely helps since
+// each one holds a full image in memory
+const WORKER_COUNT = Math.max(
+  1,
+  Math.min(4, (navigator.hardwareConcurrency || 2) - 1)
+);
+
+// Statuses of images whose output was written; "warning" ones did not read
+// back as intended
+const WRITTEN_STATUSES = ["updated", "warning"];
 
-// Construct APP1 XMP segment ("http://ns.adobe.com/xap/1.0/\0" + xml)
-const buildXmpSegment = (xml) => {
-  const preamble = utf8("http://ns.adobe.com/xap/1.0/\0");
-  const xmlBytes = utf8(xml);
-  const payload = new Uint8Array(preamble.length + xmlBytes.length);
-  payload.set(preamble, 0);
-  payload.set(xmlBytes, preamble.length);
-  const length = payload.length + 2; // includes the two length bytes
-  const seg = new Uint8Array(2 + 2 + payload.length);
-  seg[0] = 0xff; // APP1
-  seg[1] = 0xe1;
-  seg[2] = (length >> 8) & 0xff;
-  seg[3] = length & 0xff;
-  seg.set(payload, 4);
-  return seg;
+const isWritten = (img) =>
+  WRITTEN_STATUSES.includes(img.status) && !!img.updatedBlob;
+
+// Most browsers cannot display TIFF, and none display RAW files
+const hasPreview = (fileName) => {
+  const format = formatForFileName(fileName);
+  return !!format && format !== "tiff";
 };
 
-// Find existing XMP APP1 segment; returns {start, totalLen} or null
-const findExistingXmp = (jpegBytes) => {
-  if (!(jpegBytes[0] === 0xff && jpegBytes[1] === 0xd8)) return null;
-  let offset = 2;
-  const sig = utf8("http://ns.adobe.com/xap/1.0/\0");
-  while (offset + 4 <= jpegBytes.length) {
-    if (jpegBytes[offset] !== 0xff) break;
-    const type = jpegBytes[offset + 1];
-    if (type === 0xda) break; // SOS
-    if (type === 0xd8 || type === 0xd9) {
-      offset += 2;
-      continue;
-    }
-    const len = (jpegBytes[offset + 2] << 8) | jpegBytes[offset + 3];
-    if (type === 0xe1) {
-      // Check for XMP preamble
-      let ok = true;
-      for (let i = 0; i < sig.length; i++) {
-        if (jpegBytes[offset + 4 + i] !== sig[i]) {
-          ok = false;
-          break;
-        }
-      }
-      if (ok) {
-        // 'len' is the segment length including its own two length bytes.
-        // Total bytes to remove = marker (2) + len
-        return { start: offset, totalLen: 2 + len };
-      }
-    }
-    offset += 2 + len;
+const fileExtension = (fileName) =>
+  (fileName.match(/\.([^.]+)$/)?.[1] || "file").toUpperCase();
+
+// Read EXIF/XMP/IPTC values currently stored in an uploaded file
+const readFileMetadata = async (file) =>
+  readMetadata(new Uint8Array(await file.arrayBuffer()));
+
+// A saved setting from localStorage, or `defaults` when there is none or it
+// cannot be read. Object settings are merged over their defaults so fields
+// added later get their default value; `merge(defaults, saved)` replaces
+// that for settings with nested objects or fields that must not be empty.
+const loadSetting = (
+  key,
+  defaults,
+  merge = (base, saved) => ({ ...base, ...saved })
+) => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(key));
+    if (typeof defaults === "object") return merge(defaults, saved);
+    return typeof saved === typeof defaults ? saved : defaults;
+  } catch {
+    return defaults;
   }
-  return null;
 };
 
-// Replace an existing segment with new bytes
-const replaceSegment = (jpegBytes, start, totalLen, newSeg) => {
-  const out = new Uint8Array(jpegBytes.length - totalLen + newSeg.length);
-  out.set(jpegBytes.slice(0, start), 0);
-  out.set(newSeg, start);
-  out.set(jpegBytes.slice(start + totalLen), start + newSeg.length);
-  return out;
+// `what` names the setting in the error logged when it cannot be saved
+const storeSetting = (key, value, what) => {
+  try {
+    localStorage.setItem(key, JSON.stringify(value));
+  } catch (err) {
+    console.error(`Failed to save ${what}:`, err);
+  }
 };
 
-// Insert XMP segment after existing APP segments and before SOS for better compatibility
-const insertXmpIntoJpeg = (jpegBytes, xmpSeg) => {
-  if (!(jpegBytes[0] === 0xff && jpegBytes[1] === 0xd8)) return jpegBytes;
-  const existing = findExistingXmp(jpegBytes);
-  if (existing) {
-    return replaceSegment(jpegBytes, existing.start, existing.totalLen, xmpSeg);
-  }
-  let offset = 2; // start after SOI
-  let insertPos = offset; // default insertion right after SOI
-  while (offset + 4 <= jpegBytes.length) {
-    const marker = jpegBytes[offset];
-    // Stop if not a marker prefix
-    if (marker !== 0xff) break;
-    const type = jpegBytes[offset + 1];
-    if (type === 0xda) {
-      // SOS: stop scanning; we must insert before this
-      break;
-    }
-    // Standalone markers without length: skip only 2 bytes
-    if (type === 0xd8 || type === 0xd9) {
-      offset += 2;
-      continue;
-    }
-    const len = (jpegBytes[offset + 2] << 8) | jpegBytes[offset + 3];
-    // APPn markers range 0xE0 - 0xEF; keep track of last APP position
-    if (type >= 0xe0 && type <= 0xef) {
-      insertPos = offset + 2 + len; // end of this APP segment
-    }
-    offset += 2 + len;
-  }
-  const out = new Uint8Array(jpegBytes.length + xmpSeg.length);
-  out.set(jpegBytes.slice(0, insertPos), 0);
-  out.set(xmpSeg, insertPos);
-  out.set(jpegBytes.slice(insertPos), insertPos + xmpSeg.length);
-  return out;
+const PROFILES_KEY = "imageTagsUpdater.mappingProfiles";
+const ACTIVE_PROFILE_KEY = "imageTagsUpdater.activeProfile";
+
+// Saved mapping profiles ({name: [{column, target}]})
+const loadProfiles = () => loadSetting(PROFILES_KEY, {});
+
+// Name of the profile in use. It used to be saved as plain text rather than
+// JSON; such a value is read as it is.
+const loadActiveProfile = () =>
+  loadSetting(ACTIVE_PROFILE_KEY, "") ||
+  localStorage.getItem(ACTIVE_PROFILE_KEY) ||
+  "";
+
+const storeProfiles = (profiles, active) => {
+  storeSetting(PROFILES_KEY, profiles, "mapping profiles");
+  storeSetting(ACTIVE_PROFILE_KEY, active || "", "active mapping profile");
 };
 
-// Build IPTC IIM payload and wrap as Photoshop APP13 (8BIM #0x0404)
-const buildIptcSegment = (title, caption, keywordsArr) => {
-  const kws = (keywordsArr || []).filter(Boolean);
+const LANGUAGES_KEY = "imageTagsUpdater.languages";
+
+// x-default and IPTC/EXIF languages ({xDefault, legacy})
+const loadLanguages = () => loadSetting(LANGUAGES_KEY, LANGUAGE_DEFAULTS);
+
+const storeLanguages = (languages) =>
+  storeSetting(LANGUAGES_KEY, languages, "language settings");
+
+const STRIP_KEY = "imageTagsUpdater.strip";
+
+// Strip mode switch and categories ({enabled, location, ...})
+const loadStrip = () => loadSetting(STRIP_KEY, STRIP_DEFAULTS);
+
+const storeStrip = (strip) => storeSetting(STRIP_KEY, strip, "strip settings");
+
+const SIDECARS_KEY = "imageTagsUpdater.sidecars";
+
+// Whether the batch writes XMP sidecars instead of updating the images
+const loadSidecars = () => loadSetting(SIDECARS_KEY, false);
 
-  const enc = (s) => utf8(s || "");
-  const pushRecord = (arr, record, dataset, dataBytes) => {
-    arr.push(0x1c, record, dataset);
-    const len = dataBytes.length;
-    arr.push((len >> 8) & 0xff, len & 0xff);
-    for (const b of dataBytes) arr.push(b);
+const storeSidecars = (sidecars) =>
+  storeSetting(SIDECARS_KEY, sidecars, "output mode");
+
+const WORDPRESS_KEY = "imageTagsUpdater.wordpress";
+
+// WordPress publish settings ({siteUrl, username, dryRun, retries}); the
+// application password is never stored
+const loadWordpress = () => loadSetting(WORDPRESS_KEY, WORDPRESS_DEFAULTS);
+
+const storeWordpress = (settings) =>
+  storeSetting(WORDPRESS_KEY, settings, "WordPress settings");
+
+const NAMING_KEY = "imageTagsUpdater.naming";
+
+// Output naming settings ({template, slug, collisions}) from localStorage
+const loadNaming = () =>
+  loadSetting(NAMING_KEY, NAMING_DEFAULTS, (base, saved) => ({
+    ...base,
+    ...saved,
+    slug: { ...SLUG_DEFAULTS, ...saved?.slug },
+  }));
+
+const storeNaming = (naming) =>
+  storeSetting(NAMING_KEY, naming, "naming settings");
+
+const NAMING_HELP =
+  "Used when a row has no Output file name, whose cell is used as written. " +
+  "Tokens: any column such as {Title}, {Keywords[0]} for the first list item, " +
+  "{index:03} for the zero-padded position, {source} and {source-stem}. " +
+  "Filters: |slug, |lower, |upper. Collisions get a -2, -3… suffix, are skipped, or fail.";
+
+// Output file name template, slug rules and collision policy
+function NamingPanel({ naming, onChange }) {
+  const setSlug = (patch) =>
+    onChange({ ...naming, slug: { ...naming.slug, ...patch } });
+  return (
+    <details className="mapping">
+      <summary>
+        Output names
+        {naming.template ? ` — ${naming.template}` : ""}
+      </summary>
+      <div className="mapping-row">
+        <input
+          type="text"
+          placeholder="{Title|slug}-{index:03}"
+          value={naming.template}
+          onChange={(e) => onChange({ ...naming, template: e.target.value })}
+        />
+        <label>
+          On collision
+          <select
+            value={naming.collisions}
+            onChange={(e) =>
+              onChange({ ...naming, collisions: e.target.value })
+            }
+          >
+            {COLLISION_POLICIES.map((p) => (
+              <option key={p} value={p}>
+                {p}
+              </option>
+            ))}
+          </select>
+        </label>
+      </div>
+      <div className="mapping-row">
+        <span>Slug:</span>
+        <label>
+          <input
+            type="checkbox"
+            checked={naming.slug.lowercase}
+            onChange={(e) => setSlug({ lowercase: e.target.checked })}
+          />
+          lowercase
+        </label>
+        <label>
+          <input
+            type="checkbox"
+            checked={naming.slug.stripPunctuation}
+            onChange={(e) => setSlug({ stripPunctuation: e.target.checked })}
+          />
+          strip punctuation
+        </label>
+        <label>
+          separator
+          <input
+            className="short"
+            type="text"
+            value={naming.slug.separator}
+            onChange={(e) => setSlug({ separator: e.target.value })}
+          />
+        </label>
+        <label>
+          max length
+          <input
+            className="short"
+            type="number"
+            min={0}
+            value={naming.slug.maxLength}
+            onChange={(e) =>
+              setSlug({ maxLength: Math.max(0, Number(e.target.value) || 0) })
+            }
+          />
+        </label>
+      </div>
+      <small>{NAMING_HELP}</small>
+    </details>
+  );
+}
+
+const TRANSLITERATION_KEY = "imageTagsUpdater.transliteration";
+
+// Selected transliteration profile and custom tables
+// ({active, custom: {name: {base, table}}}) from localStorage
+const loadTransliteration = () =>
+  loadSetting(
+    TRANSLITERATION_KEY,
+    { active: DEFAULT_TRANSLITERATION, custom: {} },
+    (base, saved) => ({
+      active: saved?.active || base.active,
+      custom: saved?.custom || base.custom,
+    })
+  );
+
+const storeTransliteration = (settings) =>
+  storeSetting(TRANSLITERATION_KEY, settings, "transliteration settings");
+
+// Transliteration profile picker and editor for custom mapping tables
+function TransliterationPanel({ settings, onChange }) {
+  const { active, custom } = settings;
+  const own = custom[active];
+  const [name, setName] = useState(own ? active : "");
+  const [base, setBase] = useState(own?.base || DEFAULT_TRANSLITERATION);
+  const [text, setText] = useState(formatTransliterationTable(own?.table));
+  const select = (id) => {
+    onChange({ ...settings, active: id });
+    const picked = custom[id];
+    setName(picked ? id : "");
+    setBase(picked?.base || DEFAULT_TRANSLITERATION);
+    setText(formatTransliterationTable(picked?.table));
   };
+  const save = () => {
+    const id = name.trim();
+    const next = {
+      ...custom,
+      [id]: { base, table: parseTransliterationTable(text) },
+    };
+    onChange({ active: id, custom: next });
+  };
+  const remove = () => {
+    const next = { ...custom };
+    delete next[active];
+    onChange({ active: DEFAULT_TRANSLITERATION, custom: next });
+    setName("");
+    setText("");
+  };
+  return (
+    <details className="mapping">
+      <summary>
+        Transliteration — {TRANSLITERATION_PROFILES[active]?.label || active}
+      </summary>
+      <div className="mapping-profiles">
+        <select value={active} onChange={(e) => select(e.target.value)}>
+          {Object.entries(TRANSLITERATION_PROFILES).map(([id, p]) => (
+            <option key={id} value={id}>
+              {p.label}
+            </option>
+          ))}
+          {Object.keys(custom).map((id) => (
+            <option key={id} value={id}>
+              {id} (custom)
+            </option>
+          ))}
+        </select>
+        {own && (
+          <button className="subbtn" onClick={remove}>
+            Delete table
+          </button>
+        )}
+      </div>
+      <div className="mapping-row">
+        <input
+          type="text"
+          placeholder="Custom table name"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+        />
+        <label>
+          extends
+          <select value={base} onChange={(e) => setBase(e.target.value)}>
+            {Object.entries(TRANSLITERATION_PROFILES).map(([id, p]) => (
+              <option key={id} value={id}>
+                {p.label}
+              </option>
+            ))}
+          </select>
+        </label>
+        <button
+          className="subbtn"
+          onClick={save}
+          disabled={!name.trim() || !!TRANSLITERATION_PROFILES[name.trim()]}
+        >
+          Save table
+        </button>
+      </div>
+      <textarea
+        rows={4}
+        placeholder={"ø=oe\nå=aa"}
+        value={text}
+        onChange={(e) => setText(e.target.value)}
+      />
+      <small>
+        Applies to EXIF ASCII fields (ImageDescription, Artist, Copyright) and
+        output file names. One &quot;from=to&quot; pair per line; custom entries
+        override the table they extend.
+      </small>
+    </details>
+  );
+}
+
+const RIGHTS_KEY = "imageTagsUpdater.rights";
 
-  const payload = [];
-  // Envelope: CodedCharacterSet to UTF-8
-  pushRecord(payload, 1, 90, enc("\u001B%G"));
-  // Application: RecordVersion = 4
-  pushRecord(payload, 2, 0, new Uint8Array([0x00, 0x04]));
-  // Title (ObjectName)
-  if (title) pushRecord(payload, 2, 5, enc(title));
-  // Caption/Abstract (WordPress reads this into the Caption field)
-  if (caption) pushRecord(payload, 2, 120, enc(caption));
-  // Keywords: one record per keyword
-  for (const k of kws) pushRecord(payload, 2, 25, enc(k));
-
-  const payloadBytes = new Uint8Array(payload);
-
-  // Build 8BIM resource block
-  const header = utf8("Photoshop 3.0\0");
-  const sig = utf8("8BIM");
-  const nameLen = 0; // empty Pascal string name
-  const namePad = (nameLen + 1) % 2 === 1 ? 1 : 0; // even length
-  const size = payloadBytes.length;
-  const dataPad = size % 2 === 1 ? 1 : 0;
-
-  const block = new Uint8Array(
-    header.length +
-      sig.length +
-      2 +
-      1 +
-      namePad +
-      4 +
-      payloadBytes.length +
-      dataPad
+// Rights values applied to every image, saved presets and the preset they
+// came from ({values, presets: {name: values}, active}) from localStorage
+const loadRights = () =>
+  loadSetting(
+    RIGHTS_KEY,
+    { values: {}, presets: {}, active: "" },
+    (base, saved) => ({
+      values: saved?.values || base.values,
+      presets: saved?.presets || base.presets,
+      active: saved?.active || base.active,
+    })
   );
-  let p = 0;
-  block.set(header, p);
-  p += header.length;
-  block.set(sig, p);
-  p += sig.length;
-  // Resource ID 0x0404
-  block[p++] = 0x04;
-  block[p++] = 0x04;
-  // Pascal name (empty)
-  block[p++] = 0x00;
-  if (namePad) block[p++] = 0x00;
-  // Size (big-endian)
-  block[p++] = (size >> 24) & 0xff;
-  block[p++] = (size >> 16) & 0xff;
-  block[p++] = (size >> 8) & 0xff;
-  block[p++] = size & 0xff;
-  // Data
-  block.set(payloadBytes, p);
-  p += payloadBytes.length;
-  if (dataPad) block[p++] = 0x00;
-
-  // Wrap into APP13 segment
-  const length = block.length + 2;
-  const seg = new Uint8Array(2 + 2 + block.length);
-  seg[0] = 0xff;
-  seg[1] = 0xed; // APP13
-  seg[2] = (length >> 8) & 0xff;
-  seg[3] = length & 0xff;
-  seg.set(block, 4);
-  return seg;
-};
 
-// Insert APP13 IPTC after last APP segment and before SOS
-const insertIptcIntoJpeg = (jpegBytes, iptcSeg) => {
-  if (!(jpegBytes[0] === 0xff && jpegBytes[1] === 0xd8)) return jpegBytes;
-  let offset = 2;
-  let insertPos = offset;
-  while (offset + 4 <= jpegBytes.length) {
-    if (jpegBytes[offset] !== 0xff) break;
-    const type = jpegBytes[offset + 1];
-    if (type === 0xda) break; // SOS
-    if (type === 0xd8 || type === 0xd9) {
-      offset += 2;
-      continue;
-    }
-    const len = (jpegBytes[offset + 2] << 8) | jpegBytes[offset + 3];
-    // Keep moving insert position to end of last APPn
-    if (type >= 0xe0 && type <= 0xef) insertPos = offset + 2 + len;
-    offset += 2 + len;
-  }
-  const out = new Uint8Array(jpegBytes.length + iptcSeg.length);
-  out.set(jpegBytes.slice(0, insertPos), 0);
-  out.set(iptcSeg, insertPos);
-  out.set(jpegBytes.slice(insertPos), insertPos + iptcSeg.length);
-  return out;
+const storeRights = (settings) =>
+  storeSetting(RIGHTS_KEY, settings, "rights presets");
+
+const RIGHTS_PLACEHOLDERS = {
+  Creator: "Jane Doe; John Doe",
+  Copyright: "© 2024 Example Studio",
+  Credit: "Example Studio",
+  "Usage terms": "All rights reserved",
+  "Web statement": "https://example.com/license",
 };
 
-// Remove existing Photoshop APP13 segments (8BIM with IPTC) to avoid duplicates
-const removePhotoshopApp13Segments = (jpegBytes) => {
-  if (!(jpegBytes[0] === 0xff && jpegBytes[1] === 0xd8)) return jpegBytes;
-  const header = utf8("Photoshop 3.0\0");
-  const parts = [];
-  // Keep SOI
-  parts.push(jpegBytes.slice(0, 2));
-  let offset = 2;
-  while (offset + 4 <= jpegBytes.length) {
-    if (jpegBytes[offset] !== 0xff) break;
-    const type = jpegBytes[offset + 1];
-    const len = (jpegBytes[offset + 2] << 8) | jpegBytes[offset + 3];
-    const segEnd = offset + 2 + len;
-    if (type === 0xda) {
-      // Copy the rest (SOS and image data) and stop
-      parts.push(jpegBytes.slice(offset));
-      offset = jpegBytes.length;
-      break;
-    }
-    if (type === 0xed) {
-      // APP13: check for Photoshop header
-      let isPhotoshop = true;
-      for (let i = 0; i < header.length; i++) {
-        if (offset + 4 + i >= jpegBytes.length || jpegBytes[offset + 4 + i] !== header[i]) {
-          isPhotoshop = false;
-          break;
-        }
-      }
-      if (!isPhotoshop) {
-        parts.push(jpegBytes.slice(offset, segEnd));
-      }
-      // If Photoshop, skip this APP13 entirely (remove existing IPTC)
-    } else {
-      parts.push(jpegBytes.slice(offset, segEnd));
-    }
-    offset = segEnd;
+// Creator, copyright and licensing values for the whole batch, with presets
+function RightsPanel({ settings, onChange }) {
+  const { values, presets, active } = settings;
+  const [name, setName] = useState(active);
+  const filled = RIGHTS_FIELDS.filter((f) => values[f]).length;
+  const select = (id) => {
+    onChange({ ...settings, active: id, values: presets[id] || {} });
+    setName(id);
+  };
+  const save = () => {
+    const id = name.trim();
+    onChange({ values, presets: { ...presets, [id]: values }, active: id });
+  };
+  const remove = () => {
+    const next = { ...presets };
+    delete next[active];
+    onChange({ ...settings, presets: next, active: "" });
+    setName("");
+  };
+  return (
+    <details className="mapping">
+      <summary>
+        Rights
+        {active ? ` — ${active}` : ""}
+        {filled ? ` (${filled})` : ""}
+      </summary>
+      <div className="mapping-profiles">
+        <select value={active} onChange={(e) => select(e.target.value)}>
+          <option value="">No preset</option>
+          {Object.keys(presets).map((n) => (
+            <option key={n} value={n}>
+              {n}
+            </option>
+          ))}
+        </select>
+        <input
+          placeholder="Preset name"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+        />
+        <button className="subbtn" onClick={save} disabled={!name.trim()}>
+          Save preset
+        </button>
+        {active && (
+          <button className="subbtn" onClick={remove}>
+            Delete preset
+          </button>
+        )}
+      </div>
+      {RIGHTS_FIELDS.map((field) => (
+        <div className="mapping-row" key={field}>
+          <label>
+            {field}
+            <input
+              type="text"
+              placeholder={RIGHTS_PLACEHOLDERS[field]}
+              value={values[field] || ""}
+              onChange={(e) =>
+                onChange({
+                  ...settings,
+                  values: { ...values, [field]: e.target.value },
+                })
+              }
+            />
+          </label>
+        </div>
+      ))}
+      <small>
+        Applied to every image; a non-empty cell in a matching column (Creator,
+        Copyright, Credit, Usage terms, Web statement) overrides the value for
+        that row. Separate several creators with semicolons.
+      </small>
+    </details>
+  );
+}
+
+// WordPress site to publish written images to. The application password
+// lives in component state only and is gone on reload.
+function WordPressPanel({ settings, password, onChange, onPasswordChange }) {
+  return (
+    <details className="mapping">
+      <summary>
+        WordPress
+        {settings.siteUrl ? ` — ${settings.siteUrl}` : ""}
+        {settings.dryRun ? " (dry run)" : ""}
+      </summary>
+      <div className="mapping-row">
+        <label>
+          Site URL
+          <input
+            type="url"
+            placeholder="https://example.com"
+            value={settings.siteUrl}
+            onChange={(e) => onChange({ ...settings, siteUrl: e.target.value })}
+          />
+        </label>
+      </div>
+      <div className="mapping-row">
+        <label>
+          Username
+          <input
+            type="text"
+            autoComplete="username"
+            value={settings.username}
+            onChange={(e) =>
+              onChange({ ...settings, username: e.target.value })
+            }
+          />
+        </label>
+        <label>
+          Application password
+          <input
+            type="password"
+            autoComplete="off"
+            placeholder="xxxx xxxx xxxx xxxx xxxx xxxx"
+            value={password}
+            onChange={(e) => onPasswordChange(e.target.value)}
+          />
+        </label>
+      </div>
+      <div className="mapping-row">
+        <label>
+          <input
+            type="checkbox"
+            checked={settings.dryRun}
+            onChange={(e) =>
+              onChange({ ...settings, dryRun: e.target.checked })
+            }
+          />
+          Dry run (show what would be sent, upload nothing)
+        </label>
+        <label>
+          Retries
+          <input
+            className="short"
+            type="number"
+            min={0}
+            max={5}
+            value={settings.retries}
+            onChange={(e) =>
+              onChange({
+                ...settings,
+                retries: Math.max(0, Number(e.target.value) || 0),
+              })
+            }
+          />
+        </label>
+      </div>
+      <small>
+        Each written image is uploaded to the media library and gets its title,
+        caption, description and alt text from its row. Create an application
+        password under Users → Profile; it is not saved. Sidecars cannot be
+        published.
+      </small>
+    </details>
+  );
+}
+
+// Outcome of publishing an image to WordPress, with a retry for failures
+function MediaStatus({ media, onRetry, disabled }) {
+  if (media.status === "publishing") {
+    return (
+      <small className="note">
+        Publishing to WordPress…
+        {media.attempt ? ` retry ${media.attempt} after: ${media.error}` : ""}
+      </small>
+    );
+  }
+  if (media.status === "dry-run") {
+    const fields = Object.entries(media.fields);
+    return (
+      <details className="media-dry-run">
+        <summary>Dry run: would upload to WordPress</summary>
+        <ul>
+          {fields.length ? (
+            fields.map(([key, value]) => (
+              <li key={key}>
+                {key}: &quot;{value}&quot;
+              </li>
+            ))
+          ) : (
+            <li>No fields to set</li>
+          )}
+        </ul>
+      </details>
+    );
   }
-  if (offset < jpegBytes.length) parts.push(jpegBytes.slice(offset));
-
-  // Concatenate kept parts
-  let total = 0;
-  for (const p of parts) total += p.length;
-  const out = new Uint8Array(total);
-  let pos = 0;
-  for (const p of parts) {
-    out.set(p, pos);
-    pos += p.length;
+  if (media.status === "published") {
+    return (
+      <small className="note">
+        WordPress media{" "}
+        <a href={media.link || media.url} target="_blank" rel="noreferrer">
+          #{media.id}
+        </a>
+      </small>
+    );
   }
-  return out;
-};
+  return (
+    <div className="error">
+      {media.error}
+      {media.id ? ` (uploaded as media #${media.id})` : ""}{" "}
+      <button className="subbtn" onClick={onRetry} disabled={disabled}>
+        Retry
+      </button>
+    </div>
+  );
+}
 
-// Transliterate Serbian characters to ASCII equivalents when needed
-const transliterateSerbian = (s = "") => {
-  const map = {
-    Š: "S",
-    š: "s",
-    Đ: "DJ",
-    đ: "dj",
-    Č: "C",
-    č: "c",
-    Ć: "C",
-    ć: "c",
-    Ž: "Z",
-    ž: "z",
-    DŽ: "DZ",
-    dž: "dz",
-  };
-  // Handle digraphs first, then single characters
-  return s.replace(/DŽ|dž|Š|š|Đ|đ|Č|č|Ć|ć|Ž|ž/g, (m) => map[m] || m);
-};
+// Editor for column → metadata target mappings and named profiles
+function MappingPanel({
+  mappings,
+  onChange,
+  columns,
+  profiles,
+  activeProfile,
+  onSelectProfile,
+  onSaveProfile,
+  onDeleteProfile,
+}) {
+  const [profileName, setProfileName] = useState(activeProfile || "");
+  const update = (idx, patch) =>
+    onChange(mappings.map((m, i) => (i === idx ? { ...m, ...patch } : m)));
+  return (
+    <details className="mapping">
+      <summary>
+        Column mapping
+        {activeProfile ? ` — ${activeProfile}` : ""}
+        {mappings.length ? ` (${mappings.length})` : ""}
+      </summary>
+      <div className="mapping-profiles">
+        <select
+          value={activeProfile}
+          onChange={(e) => {
+            onSelectProfile(e.target.value);
+            setProfileName(e.target.value);
+          }}
+        >
+          <option value="">No profile</option>
+          {Object.keys(profiles).map((n) => (
+            <option key={n} value={n}>
+              {n}
+            </option>
+          ))}
+        </select>
+        <input
+          placeholder="Profile name"
+          value={profileName}
+          onChange={(e) => setProfileName(e.target.value)}
+        />
+        <button
+          className="subbtn"
+          onClick={() => onSaveProfile(profileName.trim())}
+          disabled={!profileName.trim()}
+        >
+          Save profile
+        </button>
+        {activeProfile && (
+          <button
+            className="subbtn"
+            onClick={() => onDeleteProfile(activeProfile)}
+          >
+            Delete profile
+          </button>
+        )}
+      </div>
+      <datalist id="mapping-columns">
+        {columns.map((c) => (
+          <option key={c} value={c} />
+        ))}
+      </datalist>
+      {mappings.map((m, idx) => (
+        <div className="mapping-row" key={idx}>
+          <input
+            list="mapping-columns"
+            placeholder="Sheet column"
+            value={m.column}
+            onChange={(e) => update(idx, { column: e.target.value })}
+          />
+          <span>→</span>
+          <select
+            value={m.target}
+            onChange={(e) => update(idx, { target: e.target.value })}
+          >
+            {METADATA_TARGETS.map((t) => (
+              <option key={t.id} value={t.id}>
+                {t.label}
+              </option>
+            ))}
+          </select>
+          <button
+            className="subbtn"
+            onClick={() => onChange(mappings.filter((_, i) => i !== idx))}
+          >
+            Remove
+          </button>
+        </div>
+      ))}
+      <button
+        className="subbtn"
+        onClick={() =>
+          onChange([
+            ...mappings,
+            { column: "", target: METADATA_TARGETS[0].id },
+          ])
+        }
+      >
+        Add mapping
+      </button>
+      <small>
+        Unmapped built-in fields fall back to the standard headers and aliases.
+        Separate multiple creators or bylines with semicolons.
+      </small>
+    </details>
+  );
+}
 
-// Convert common non-ASCII punctuation to ASCII and strip remaining non-ASCII
-const sanitizeAsciiText = (s = "") => {
-  let t = transliterateSerbian(s);
-  t = t
-    .replace(/[–—]/g, "-")
-    .replace(/[“”„]/g, '"')
-    .replace(/[’‘]/g, "'")
-    .replace(/…/g, "...")
-    .replace(/•/g, "*")
-    .replace(/™/g, "(TM)")
-    .replace(/®/g, "(R)")
-    .replace(/©/g, "(C)");
-  if (typeof t.normalize === "function") {
-    t = t.normalize("NFKD");
+// Per-card table of current metadata next to the values the matched row would write
+function MetadataDiff({
+  img,
+  row,
+  mappings,
+  mergeXmp,
+  transliteration,
+  languages,
+  vocabulary,
+  dateShift,
+}) {
+  if (img.readError) {
+    return (
+      <div className="error">Could not read metadata: {img.readError}</div>
+    );
   }
-  // Strip non-ASCII without using control characters in regex
-  t = Array.from(t)
-    .map((ch) => (ch.codePointAt(0) <= 0x7f ? ch : ""))
-    .join("");
-  return t;
-};
+  if (!img.existing)
+    return <small className="meta-loading">Reading metadata…</small>;
+  const values = row
+    ? shiftedValues(
+        rowValues(
+          row,
+          img.file.name,
+          mappings,
+          transliteration,
+          languages,
+          vocabulary
+        ),
+        img.existing,
+        dateShift
+      )
+    : null;
+  const diff = diffMetadata(img.existing, values, mappings, mergeXmp);
+  const changes = diff.filter((d) => d.changed).length;
+  return (
+    <details className="meta-diff">
+      <summary>
+        Metadata{row ? ` (${changes} change${changes === 1 ? "" : "s"})` : ""}
+      </summary>
+      <table>
+        <thead>
+          <tr>
+            <th>Field</th>
+            <th>Current</th>
+            {row && <th>New</th>}
+          </tr>
+        </thead>
+        <tbody>
+          {diff.map((d) => (
+            <tr key={d.label} className={d.changed ? "changed" : undefined}>
+              <td>{d.label}</td>
+              <td>{d.current || <em>empty</em>}</td>
+              {row && <td>{d.next || <em>empty</em>}</td>}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </details>
+  );
+}
 
-// XLSX header alias support
-const HEADER_ALIASES = {
-  "Source file name": ["source"],
-  "Output file name": ["output", "output name", "output filename"],
-  Title: ["title"],
-  Caption: ["caption"],
-  Description: ["description"],
-  Keywords: ["keywords"],
-};
+// Properties the XMP sidecar of an image will hold
+function SidecarPreview({
+  img,
+  row,
+  mappings,
+  transliteration,
+  languages,
+  vocabulary,
+  dateShift,
+}) {
+  if (!row) return null;
+  const values = shiftedValues(
+    rowValues(
+      row,
+      img.file.name,
+      mappings,
+      transliteration,
+      languages,
+      vocabulary
+    ),
+    img.existing,
+    dateShift
+  );
+  const fields = sidecarFields(values).filter((f) => f.value);
+  return (
+    <details className="meta-diff">
+      <summary>
+        Sidecar ({fields.length} propert{fields.length === 1 ? "y" : "ies"})
+      </summary>
+      <table>
+        <thead>
+          <tr>
+            <th>Property</th>
+            <th>Value</th>
+          </tr>
+        </thead>
+        <tbody>
+          {fields.map((f) => (
+            <tr key={f.label}>
+              <td>{f.label}</td>
+              <td>{f.value}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </details>
+  );
+}
 
-const normHeader = (s = "") => s.toString().trim().toLowerCase();
+// Fields of a written file that did not read back as the row intended
+function VerificationWarnings({ mismatches }) {
+  return (
+    <details className="mismatches" open>
+      <summary>
+        {mismatches.length} field{mismatches.length === 1 ? "" : "s"} did not
+        verify
+      </summary>
+      <ul>
+        {mismatches.map((m) => (
+          <li key={m.label}>
+            {m.label}: expected {m.expected ? `"${m.expected}"` : "empty"}, read{" "}
+            {m.actual ? `"${m.actual}"` : "empty"}
+          </li>
+        ))}
+      </ul>
+    </details>
+  );
+}
 
-// Get a field value from a row, accepting canonical name or any alias
-const getField = (row, canonical) => {
-  const aliases = [canonical, ...(HEADER_ALIASES[canonical] || [])].map(
-    normHeader
+// Outcome of the last batch: passed when every image was written and verified
+function BatchSummary({ images }) {
+  const count = (status) => images.filter((i) => i.status === status).length;
+  const verified = count("updated");
+  const warnings = count("warning");
+  const failed = count("error");
+  const skipped = count("skipped");
+  if (!verified && !warnings && !failed && !skipped) return null;
+  const passed = !warnings && !failed;
+  return (
+    <section className={`batch-summary ${passed ? "passed" : "failed"}`}>
+      <strong>{passed ? "Batch passed" : "Batch failed"}</strong>
+      <span>
+        {verified} verified, {warnings} with warnings, {failed} failed,{" "}
+        {skipped} skipped
+      </span>
+    </section>
   );
-  for (const key of Object.keys(row)) {
-    if (aliases.includes(normHeader(key))) return row[key];
-  }
-  return "";
-};
+}
 
-// Resolve which actual header key exists in the provided rows
-const resolveHeaderKey = (rows, canonical) => {
-  const aliases = [canonical, ...(HEADER_ALIASES[canonical] || [])].map(
-    normHeader
+// Missing or overlong alt text for the values the matched row would write
+function AccessibilityWarnings({
+  row,
+  fileName,
+  mappings,
+  transliteration,
+  languages,
+  vocabulary,
+}) {
+  const values = rowValues(
+    row,
+    fileName,
+    mappings,
+    transliteration,
+    languages,
+    vocabulary
   );
-  for (const r of rows) {
-    for (const key of Object.keys(r)) {
-      if (aliases.includes(normHeader(key))) return key;
-    }
-  }
-  return canonical;
-};
+  return accessibilityWarnings(values).map((w) => (
+    <small key={w} className="a11y-warning">
+      {w}
+    </small>
+  ));
+}
+
+// Issues found before writing; each must be fixed in the sheet or acknowledged
+function PreflightReport({ issues, acknowledged, onAcknowledge }) {
+  const open = issues.filter((i) => !acknowledged.has(i.id));
+  return (
+    <details className="preflight" open={open.length > 0}>
+      <summary>
+        Preflight check
+        {issues.length
+          ? ` — ${open.length} of ${issues.length} issue${
+              issues.length === 1 ? "" : "s"
+            } open`
+          : " — no issues"}
+      </summary>
+      {issues.length > 0 && (
+        <>
+          <ul>
+            {issues.map((issue) => (
+              <li key={issue.id} className={issue.severity}>
+                <label>
+                  <input
+                    type="checkbox"
+                    checked={acknowledged.has(issue.id)}
+                    onChange={(e) =>
+                      onAcknowledge([issue.id], e.target.checked)
+                    }
+                  />
+                  <span className={`status ${issue.severity}`}>
+                    {issue.severity}
+                  </span>{" "}
+                  {issue.message}
+                </label>
+              </li>
+            ))}
+          </ul>
+          <button
+            className="subbtn"
+            onClick={() =>
+              onAcknowledge(
+                open.map((i) => i.id),
+                true
+              )
+            }
+            disabled={!open.length}
+          >
+            Acknowledge all
+          </button>
+          <small>
+            Fix issues in the sheet or mapping and they disappear; tick an issue
+            to acknowledge it and apply anyway.
+          </small>
+        </>
+      )}
+    </details>
+  );
+}
+
+// Editable built-in fields for one image, seeded from its matched row
+function MetadataEditor({ row, edits, mappings, onChange }) {
+  return (
+    <details className="meta-edit">
+      <summary>Edit{edits ? " (edited)" : ""}</summary>
+      {EDITABLE_FIELDS.map((field) => {
+        const value = (getField(row, field, mappings) ?? "").toString();
+        const update = (e) => onChange({ ...edits, [field]: e.target.value });
+        return (
+          <label key={field}>
+            {field}
+            {field === "Caption" ||
+            field === "Description" ||
+            field === "Alt text" ? (
+              <textarea rows={3} value={value} onChange={update} />
+            ) : (
+              <input type="text" value={value} onChange={update} />
+            )}
+          </label>
+        );
+      })}
+      {edits && (
+        <button className="subbtn" onClick={() => onChange(null)}>
+          Reset to sheet
+        </button>
+      )}
+    </details>
+  );
+}
 
 export default function App() {
-  const [images, setImages] = useState([]); // {file,url,status,updatedBlob,newName,error}
-  const [xlsxRows, setXlsxRows] = useState([]);
+  const [images, setImages] = useState([]); // {file,url,status,updatedBlob,newName,error,note,removed,fields,mismatches,segments,existing,readError,media}
+  const [workbook, setWorkbook] = useState(null);
+  const [sheetName, setSheetName] = useState("");
+  const [headerRow, setHeaderRow] = useState(1);
+  const [vocabulary, setVocabulary] = useState(null); // {name, size, terms}
+  // Report of the last processed batch, kept when its uploads are removed
+  const [lastReport, setLastReport] = useState(null);
   const [processing, setProcessing] = useState(false);
+  const [publishing, setPublishing] = useState(false);
+  const [progress, setProgress] = useState({ done: 0, total: 0 });
+  const [acknowledged, setAcknowledged] = useState(() => new Set());
+  const [edits, setEdits] = useState({}); // {fileName: {field: value}}
+  const [mergeXmp, setMergeXmp] = useState(true);
+  const [sidecars, setSidecars] = useState(loadSidecars);
+  const [strip, setStrip] = useState(loadStrip);
+  const [languages, setLanguages] = useState(loadLanguages);
+  const [dateShiftText, setDateShiftText] = useState("");
+  const dateShift = useMemo(() => {
+    try {
+      return { seconds: parseDateShift(dateShiftText), error: null };
+    } catch (err) {
+      return { seconds: 0, error: err.message };
+    }
+  }, [dateShiftText]);
+  const [matchOptions, setMatchOptions] = useState(MATCH_DEFAULTS);
+  const [naming, setNaming] = useState(loadNaming);
+  const [translitSettings, setTranslitSettings] = useState(loadTransliteration);
+  const transliteration = useMemo(
+    () =>
+      resolveTransliteration(translitSettings.active, translitSettings.custom),
+    [translitSettings]
+  );
+  const [rights, setRights] = useState(loadRights);
+  const [wordpress, setWordpress] = useState(loadWordpress);
+  const [wpPassword, setWpPassword] = useState("");
+  const [profiles, setProfiles] = useState(loadProfiles);
+  const [activeProfile, setActiveProfile] = useState(() => {
+    const name = loadActiveProfile();
+    return profiles[name] ? name : "";
+  });
+  const [mappings, setMappings] = useState(() => profiles[activeProfile] || []);
   const imageInputRef = useRef(null);
   const xlsxInputRef = useRef(null);
+  const vocabularyInputRef = useRef(null);
+  const abortRef = useRef(null);
+
+  const xlsxRows = useMemo(
+    () => sheetRows(workbook, sheetName, headerRow),
+    [workbook, sheetName, headerRow]
+  );
 
   // Determine actual header names used for preview rendering
   const resolvedHeaders = useMemo(
     () => ({
-      "Source file name": resolveHeaderKey(xlsxRows, "Source file name"),
-      "Output file name": resolveHeaderKey(xlsxRows, "Output file name"),
-      Title: resolveHeaderKey(xlsxRows, "Title"),
-      Caption: resolveHeaderKey(xlsxRows, "Caption"),
-      Description: resolveHeaderKey(xlsxRows, "Description"),
-      Keywords: resolveHeaderKey(xlsxRows, "Keywords"),
+      "Source file name": resolveHeaderKey(
+        xlsxRows,
+        "Source file name",
+        mappings
+      ),
+      "Output file name": resolveHeaderKey(
+        xlsxRows,
+        "Output file name",
+        mappings
+      ),
+      Title: resolveHeaderKey(xlsxRows, "Title", mappings),
+      Caption: resolveHeaderKey(xlsxRows, "Caption", mappings),
+      Description: resolveHeaderKey(xlsxRows, "Description", mappings),
+      Keywords: resolveHeaderKey(xlsxRows, "Keywords", mappings),
     }),
-    [xlsxRows]
+    [xlsxRows, mappings]
   );
 
-  const rowMap = useMemo(() => {
-    const m = new Map();
-    xlsxRows.forEach((r) => {
-      const key = (getField(r, "Source file name") || "")
-        .toString()
-        .trim()
-        .toLowerCase();
-      if (key) m.set(key, r);
-    });
-    return m;
+  // Every header seen in the sheet, offered as mapping suggestions
+  const sheetColumns = useMemo(() => {
+    const set = new Set();
+    xlsxRows.forEach((r) => Object.keys(r).forEach((k) => set.add(k)));
+    return [...set];
   }, [xlsxRows]);
 
+  // Languages of "Title [en]"-style columns, plus any saved choice
+  const sheetLanguages = useMemo(() => {
+    const set = new Set(sheetColumns.map(columnLanguage).filter(Boolean));
+    if (languages.xDefault) set.add(languages.xDefault);
+    if (languages.legacy) set.add(languages.legacy);
+    return [...set].sort();
+  }, [sheetColumns, languages]);
+
+  const matcher = useMemo(
+    () => buildMatcher(xlsxRows, mappings, matchOptions, transliteration),
+    [xlsxRows, mappings, matchOptions, transliteration]
+  );
+
+  const issues = useMemo(
+    () =>
+      xlsxRows.length && images.length
+        ? preflightIssues(
+            xlsxRows,
+            images.map((i) => i.file.name),
+            mappings,
+            {
+              matchOptions,
+              naming,
+              transliteration,
+              edits,
+              rights: rights.values,
+              languages,
+              vocabulary,
+              sidecars,
+            }
+          )
+        : [],
+    [
+      xlsxRows,
+      images,
+      mappings,
+      matchOptions,
+      naming,
+      transliteration,
+      edits,
+      rights,
+      languages,
+      vocabulary,
+      sidecars,
+    ]
+  );
+  const openIssues = issues.filter((i) => !acknowledged.has(i.id)).length;
+
+  const acknowledge = (ids, checked) =>
+    setAcknowledged((prev) => {
+      const next = new Set(prev);
+      ids.forEach((id) => (checked ? next.add(id) : next.delete(id)));
+      return next;
+    });
+
+  // Matched row for an image with its grid edits and the rights preset applied
+  const rowFor = (fileName) => {
+    const matched = matcher.match(fileName);
+    if (!matched) return null;
+    const row = withEdits(matched.row, edits[fileName], mappings);
+    return withRights(row, rights.values, mappings);
+  };
+
+  const editImage = (fileName, fields) =>
+    setEdits((prev) => {
+      const next = { ...prev };
+      if (fields) next[fileName] = fields;
+      else delete next[fileName];
+      return next;
+    });
+
+  const changeTransliteration = (next) => {
+    setTranslitSettings(next);
+    storeTransliteration(next);
+  };
+
+  const changeRights = (next) => {
+    setRights(next);
+    storeRights(next);
+  };
+
+  const changeLanguages = (next) => {
+    setLanguages(next);
+    storeLanguages(next);
+  };
+
+  const changeWordpress = (next) => {
+    setWordpress(next);
+    storeWordpress(next);
+  };
+
+  const changeSidecars = (next) => {
+    setSidecars(next);
+    storeSidecars(next);
+  };
+
+  const changeStrip = (next) => {
+    setStrip(next);
+    storeStrip(next);
+  };
+
+  const changeNaming = (next) => {
+    setNaming(next);
+    storeNaming(next);
+  };
+
+  const selectProfile = (name) => {
+    setActiveProfile(name);
+    setMappings(profiles[name] || []);
+    storeProfiles(profiles, name);
+  };
+
+  const saveProfile = (name) => {
+    const next = { ...profiles, [name]: mappings };
+    setProfiles(next);
+    setActiveProfile(name);
+    storeProfiles(next, name);
+  };
+
+  const deleteProfile = (name) => {
+    const next = { ...profiles };
+    delete next[name];
+    setProfiles(next);
+    setActiveProfile("");
+    storeProfiles(next, "");
+  };
+
   const onImagesSelected = (e) => {
     const files = Array.from(e.target.files || []);
     const prepared = files.map((f) => ({
@@ -428,29 +1207,80 @@ export default function App() {
       updatedBlob: null,
       newName: "-",
       error: null,
+      note: null,
+      removed: null,
+      fields: null,
+      mismatches: null,
+      segments: null,
+      existing: null,
+      readError: null,
     }));
     setImages(prepared);
+    setEdits({});
+    // Read current metadata in the background so cards can show a diff
+    prepared.forEach(async (entry) => {
+      let patch;
+      try {
+        patch = { existing: await readFileMetadata(entry.file) };
+      } catch (err) {
+        patch = { readError: err?.message || "Failed to read metadata." };
+      }
+      setImages((prev) =>
+        prev.map((i) => (i.file === entry.file ? { ...i, ...patch } : i))
+      );
+    });
   };
 
   const onXlsxSelected = async (e) => {
     const file = e.target.files?.[0];
     if (!file) return;
     try {
-      const data = await file.arrayBuffer();
-      const wb = XLSX.read(data, { type: "array" });
+      const wb = parseSheetSource(
+        file.name,
+        new Uint8Array(await file.arrayBuffer())
+      );
       const firstSheetName = wb.SheetNames?.[0];
-      if (!firstSheetName) throw new Error("No sheets in XLSX file.");
-      const sheet = wb.Sheets[firstSheetName];
-      const rows = XLSX.utils.sheet_to_json(sheet, { defval: "" });
-      setXlsxRows(rows);
+      if (!firstSheetName) throw new Error("No sheets in file.");
+      setWorkbook(wb);
+      setEdits({});
+      setSheetName(firstSheetName);
+      setHeaderRow(1);
     } catch (err) {
-      console.error("Failed to parse XLSX:", err);
-      alert("Failed to read XLSX file. Please check the file format.");
-      setXlsxRows([]);
+      console.error("Failed to parse sheet:", err);
+      alert(
+        "Failed to read metadata file. Supported formats: XLSX, XLS, ODS, CSV, TSV and JSON."
+      );
+      setWorkbook(null);
     }
   };
 
+  const onVocabularySelected = async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    try {
+      const wb = parseSheetSource(
+        file.name,
+        new Uint8Array(await file.arrayBuffer())
+      );
+      setVocabulary({
+        name: file.name,
+        ...buildVocabulary(sheetRows(wb, wb.SheetNames[0], 1)),
+      });
+    } catch (err) {
+      console.error("Failed to parse vocabulary:", err);
+      alert(`Failed to read vocabulary: ${err?.message}`);
+      setVocabulary(null);
+      e.target.value = "";
+    }
+  };
+
+  const clearVocabulary = () => {
+    setVocabulary(null);
+    if (vocabularyInputRef.current) vocabularyInputRef.current.value = "";
+  };
+
   const clearUploads = () => {
+    keepReport();
     // Revoke object URLs to free memory
     images.forEach((i) => {
       try {
@@ -460,15 +1290,20 @@ export default function App() {
         void e;
       }
     });
+    abortRef.current?.abort();
     setImages([]);
-    setXlsxRows([]);
+    setWorkbook(null);
+    setEdits({});
+    setAcknowledged(new Set());
     setProcessing(false);
     if (imageInputRef.current) imageInputRef.current.value = "";
     if (xlsxInputRef.current) xlsxInputRef.current.value = "";
+    clearVocabulary();
   };
 
   // Remove only uploaded images
   const clearImages = () => {
+    keepReport();
     images.forEach((i) => {
       try {
         URL.revokeObjectURL(i.url);
@@ -477,138 +1312,361 @@ export default function App() {
         void e;
       }
     });
+    abortRef.current?.abort();
     setImages([]);
+    setEdits({});
     setProcessing(false);
     if (imageInputRef.current) imageInputRef.current.value = "";
   };
 
   // Remove only uploaded XLSX rows
   const clearXlsx = () => {
-    setXlsxRows([]);
+    abortRef.current?.abort();
+    setWorkbook(null);
+    setEdits({});
     setProcessing(false);
     if (xlsxInputRef.current) xlsxInputRef.current.value = "";
   };
 
   const applyMetadata = async () => {
     if (!images.length || !xlsxRows.length) return;
+    const controller = new AbortController();
+    abortRef.current = controller;
     setProcessing(true);
-    const out = [];
-    for (const img of images) {
-      let next = { ...img };
-      try {
-        if (
-          !img.file.type.includes("jpeg") &&
-          !img.file.name.toLowerCase().endsWith(".jpg")
-        ) {
-          next.status = "error";
-          next.error = "Only JPEG is supported.";
-          out.push(next);
-          continue;
+    setProgress({ done: 0, total: images.length });
+    const update = (file, patch) =>
+      setImages((prev) =>
+        prev.map((i) => (i.file === file ? { ...i, ...patch } : i))
+      );
+    // Settle one image and advance the progress bar
+    const finish = (file, patch) => {
+      update(file, patch);
+      setProgress((p) => ({ ...p, done: p.done + 1 }));
+    };
+    const fail = (file, error) =>
+      finish(file, {
+        status: "error",
+        error,
+        updatedBlob: null,
+        newName: "-",
+        fields: null,
+        mismatches: null,
+        segments: null,
+        media: null,
+      });
+
+    // Output names are decided for the whole batch so collisions resolve
+    // the same way whatever order the workers finish in
+    const batch = images.map((img) => ({
+      img,
+      row: rowFor(img.file.name),
+    }));
+    let plan = null;
+    let planError = null;
+    try {
+      plan = sidecars
+        ? planSidecarNames(batch.map(({ img }) => img.file.name)).map(
+            (name) => ({ name, status: "ok" })
+          )
+        : planOutputNames(
+            batch.map(({ img, row }) => ({ fileName: img.file.name, row })),
+            mappings,
+            naming,
+            transliteration
+          );
+    } catch (err) {
+      planError = err?.message || "Invalid output name template.";
+    }
+
+    await processInWorkers(batch, {
+      concurrency: WORKER_COUNT,
+      signal: controller.signal,
+      process: async ({ img, row }, call) => {
+        // Sidecars can be written for any file the sheet names, RAW included
+        const format = formatForFileName(img.file.name);
+        if (!format && !sidecars) {
+          fail(img.file, "Only JPEG, PNG, WebP and TIFF are supported.");
+          return;
         }
 
-        const row = rowMap.get(img.file.name.toLowerCase());
         if (!row) {
-          next.status = "error";
-          next.error = "No matching row in XLSX.";
-          out.push(next);
-          continue;
+          fail(img.file, "No matching row in XLSX.");
+          return;
+        }
+        if (planError) {
+          fail(img.file, planError);
+          return;
+        }
+        const out = plan[batch.findIndex((b) => b.img === img)];
+        if (out.status === "failed") {
+          fail(
+            img.file,
+            `Output name ${out.name} collides with ${out.conflict}.`
+          );
+          return;
+        }
+        if (out.status === "skipped") {
+          finish(img.file, {
+            status: "skipped",
+            error: `Skipped: ${out.name} is already used by ${out.conflict}.`,
+            updatedBlob: null,
+            newName: "-",
+            fields: null,
+            mismatches: null,
+            segments: null,
+            media: null,
+          });
+          return;
         }
 
-        const title = (getField(row, "Title") || "").toString();
-        const caption = (getField(row, "Caption") || "").toString();
-        const description = (getField(row, "Description") || "").toString();
-        const keywords = (getField(row, "Keywords") || "").toString();
-        const outputName = (
-          getField(row, "Output file name") || img.file.name
-        ).toString();
-        const safeOutputName = transliterateSerbian(outputName);
-
-        const dataUrl = await fileToDataURL(img.file);
-        const exifObj = piexif.load(dataUrl);
-        // EXIF ImageDescription must be ASCII; use XLSX Description (fallback to Caption)
-        const asciiDescription = sanitizeAsciiText(description || caption);
-        exifObj["0th"][piexif.ImageIFD.ImageDescription] = asciiDescription;
-        // Encode Unicode safely for XP* tags (UTF-16LE byte array with null terminator)
-        const encodeXP = (str) => {
-          const bytes = [];
-          for (let i = 0; i < str.length; i++) {
-            const code = str.charCodeAt(i);
-            bytes.push(code & 0xff);
-            bytes.push((code >> 8) & 0xff);
-          }
-          // Null terminator
-          bytes.push(0);
-          bytes.push(0);
-          return bytes;
-        };
-        if (title) exifObj["0th"][piexif.ImageIFD.XPTitle] = encodeXP(title);
-        if (caption)
-          exifObj["0th"][piexif.ImageIFD.XPComment] = encodeXP(caption);
-        if (keywords)
-          exifObj["0th"][piexif.ImageIFD.XPKeywords] = encodeXP(keywords);
-        const exifBytes = piexif.dump(exifObj);
-        let newDataUrl;
+        update(img.file, {
+          status: "processing",
+          error: null,
+          note: null,
+          removed: null,
+          fields: null,
+          mismatches: null,
+          segments: null,
+          media: null,
+        });
         try {
-          newDataUrl = piexif.insert(exifBytes, dataUrl);
-        } catch {
-          // Fallback: clear ImageDescription and retry if Latin1 btoa error occurs
-          exifObj["0th"][piexif.ImageIFD.ImageDescription] = "";
-          const exifBytes2 = piexif.dump(exifObj);
-          newDataUrl = piexif.insert(exifBytes2, dataUrl);
+          const values = rowValues(
+            row,
+            img.file.name,
+            mappings,
+            transliteration,
+            languages,
+            vocabulary
+          );
+          if (sidecars) {
+            const shifted = shiftedValues(
+              values,
+              img.existing,
+              dateShift.seconds
+            );
+            const xml = buildSidecarXmp(shifted);
+            const { fields, mismatches } = verifySidecar(xml, shifted);
+            finish(img.file, {
+              status: mismatches.length ? "warning" : "updated",
+              updatedBlob: new Blob([xml], { type: "application/rdf+xml" }),
+              newName: out.name,
+              fields,
+              mismatches,
+            });
+            return;
+          }
+          const buffer = await img.file.arrayBuffer();
+          const options = {
+            mergeXmp,
+            dateShift: dateShift.seconds,
+            strip: strip.enabled ? strip : null,
+          };
+          const result = await call({ buffer, values, options }, [buffer]);
+          finish(img.file, {
+            status: result.mismatches.length ? "warning" : "updated",
+            fields: result.fields,
+            mismatches: result.mismatches,
+            segments: result.segments,
+            updatedBlob: new Blob([result.buffer], {
+              type: IMAGE_FORMATS[format].mime,
+            }),
+            newName: out.name,
+            removed: strip.enabled ? result.removed : null,
+            note:
+              out.status === "renamed"
+                ? `Renamed: ${out.conflict} already uses that name.`
+                : null,
+          });
+        } catch (err) {
+          if (controller.signal.aborted) {
+            update(img.file, { status: "pending" });
+            return;
+          }
+          fail(img.file, err?.message || "Failed to update metadata.");
         }
+      },
+    });
+    if (abortRef.current === controller) abortRef.current = null;
+    setProcessing(false);
+  };
 
-        // Build XMP packet for Adobe-compatible Title/Description/Keywords
-        const kwList = keywords
-          .split(/[,;]/)
-          .map((s) => s.trim())
-          .filter(Boolean);
-        const xmpXml = buildXmpXml(title, description, kwList);
-        const xmpSeg = buildXmpSegment(xmpXml);
-
-        // Start from EXIF-updated JPEG bytes
-        const tempBlob = dataURLToBlob(newDataUrl);
-        let bytes = new Uint8Array(await tempBlob.arrayBuffer());
-        // Insert/replace XMP
-        bytes = insertXmpIntoJpeg(bytes, xmpSeg);
-        // Remove existing Photoshop APP13 segments to avoid duplicate/old IPTC
-        bytes = removePhotoshopApp13Segments(bytes);
-        // Insert IPTC APP13 for broader compatibility (Caption via 2:120)
-        const iptcSeg = buildIptcSegment(title, caption, kwList);
-        bytes = insertIptcIntoJpeg(bytes, iptcSeg);
-        const updatedBlob = new Blob([bytes], { type: "image/jpeg" });
-
-        next.updatedBlob = updatedBlob;
-        next.newName = /\.jpe?g$/i.test(safeOutputName)
-          ? safeOutputName
-          : `${safeOutputName}.jpg`;
-        next.status = "updated";
-        out.push(next);
+  // Upload written images to the WordPress media library one at a time. An
+  // image whose upload went through but whose fields did not save keeps its
+  // media ID, so retrying it only sends the fields again.
+  const publishToWordpress = async (targets) => {
+    const controller = new AbortController();
+    abortRef.current = controller;
+    setPublishing(true);
+    setProgress({ done: 0, total: targets.length });
+    const update = (file, media) =>
+      setImages((prev) =>
+        prev.map((i) => (i.file === file ? { ...i, media } : i))
+      );
+    const site = { ...wordpress, password: wpPassword };
+    for (const img of targets) {
+      if (controller.signal.aborted) break;
+      const row = rowFor(img.file.name);
+      const fields = row
+        ? mediaFields(
+            rowValues(
+              row,
+              img.file.name,
+              mappings,
+              transliteration,
+              languages,
+              vocabulary
+            )
+          )
+        : {};
+      update(img.file, { status: "publishing" });
+      try {
+        const result = await publishMedia(
+          site,
+          {
+            fileName: img.newName,
+            data: img.updatedBlob,
+            mime: img.updatedBlob.type,
+            fields,
+            mediaId: img.media?.id ?? null,
+          },
+          {
+            dryRun: wordpress.dryRun,
+            retries: wordpress.retries,
+            signal: controller.signal,
+            onRetry: (attempt, err) =>
+              update(img.file, {
+                status: "publishing",
+                attempt,
+                error: err.message,
+              }),
+          }
+        );
+        update(
+          img.file,
+          result.dryRun
+            ? { status: "dry-run", fields: result.fields }
+            : { status: "published", ...result }
+        );
       } catch (err) {
-        next.status = "error";
-        next.error = err?.message || "Failed to update metadata.";
-        out.push(next);
+        if (controller.signal.aborted) {
+          update(img.file, img.media || null);
+          break;
+        }
+        update(img.file, {
+          status: "error",
+          id: err.mediaId ?? img.media?.id ?? null,
+          error: err?.message || "Failed to publish.",
+        });
       }
+      setProgress((p) => ({ ...p, done: p.done + 1 }));
     }
-    setImages(out);
-    setProcessing(false);
+    if (abortRef.current === controller) abortRef.current = null;
+    setPublishing(false);
   };
 
-  const downloadZip = async () => {
-    const zip = new JSZip();
-    images.forEach((i) => {
-      if (i.status === "updated" && i.updatedBlob) {
-        zip.file(i.newName, i.updatedBlob);
+  // Written images not on the site yet
+  const unpublished = images.filter(
+    (i) => isWritten(i) && i.media?.status !== "published"
+  );
+  const publishBlocked = sidecars
+    ? "XMP sidecars cannot be published"
+    : !wordpress.siteUrl.trim()
+    ? "Set the WordPress site URL first"
+    : !wordpress.dryRun && (!wordpress.username || !wpPassword)
+    ? "Enter the WordPress username and application password first"
+    : "";
+
+  // Stop the running batch; images that have not finished go back to pending
+  const cancelProcessing = () => abortRef.current?.abort();
+
+  // Export a template sheet with one row per uploaded image, pre-filled with its current metadata
+  const exportSheet = async () => {
+    const rows = [];
+    for (const img of images) {
+      let existing = img.existing;
+      if (!existing && !img.readError) {
+        try {
+          existing = await readFileMetadata(img.file);
+        } catch {
+          existing = null;
+        }
       }
+      rows.push(existingToRow(img.file.name, existing, mappings));
+    }
+    const sheet = XLSX.utils.json_to_sheet(rows, {
+      header: exportHeaders(mappings),
     });
+    const wb = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(wb, sheet, "Metadata");
+    XLSX.writeFile(wb, "image-metadata.xlsx");
+  };
+
+  // Save the sheet with grid edits written back, to keep the source in sync
+  const downloadEditedSheet = () => {
+    const rows = editedSheetRows(xlsxRows, matcher, edits, mappings);
+    const header = [...new Set(rows.flatMap((r) => Object.keys(r)))];
+    const sheet = XLSX.utils.json_to_sheet(rows, { header });
+    const wb = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(wb, sheet, sheetName || "Metadata");
+    XLSX.writeFile(wb, "edited-metadata.xlsx");
+  };
+
+  // Report entries (see reportRows) for the uploaded images
+  const reportEntries = () =>
+    images.map((img) => ({
+      source: img.file.name,
+      output: isWritten(img) ? img.newName : "",
+      rowNumbers:
+        matcher
+          .match(img.file.name)
+          ?.entries.map((e) => e.number)
+          .join(", ") || "",
+      status: img.status,
+      error: [img.error, img.media?.status === "error" && img.media.error]
+        .filter(Boolean)
+        .join("; "),
+      mismatches: img.mismatches,
+      fields: img.fields,
+      bytesBefore: img.file.size,
+      bytesAfter: isWritten(img) ? img.updatedBlob.size : null,
+      segments: img.segments,
+      media: img.media?.id
+        ? { id: img.media.id, url: img.media.url || "" }
+        : null,
+    }));
+
+  const hasProcessed = images.some((i) => i.status !== "pending");
+
+  // Hold on to the report of a processed batch before its uploads go
+  const keepReport = () => {
+    if (hasProcessed) setLastReport(reportEntries());
+  };
+
+  const downloadReport = (extension) => {
+    const name = `processing-report.${extension}`;
+    const entries = hasProcessed ? reportEntries() : lastReport;
+    saveAs(new Blob([reportFile(entries, name)]), name);
+  };
+
+  const downloadZip = async () => {
+    const zip = new JSZip();
+    images.filter(isWritten).forEach((i) => zip.file(i.newName, i.updatedBlob));
+    zip.file(
+      "processing-report.csv",
+      reportFile(reportEntries(), "processing-report.csv")
+    );
     const blob = await zip.generateAsync({ type: "blob" });
-    saveAs(blob, "updated-images.zip");
+    saveAs(blob, sidecars ? "xmp-sidecars.zip" : "updated-images.zip");
   };
 
   return (
     <div className="container">
       <header>
         <h1>Image Tags Updater</h1>
-        <p>Upload JPEG images and an XLSX to update metadata.</p>
+        <p>
+          Upload JPEG, PNG, WebP or TIFF images and a metadata sheet to update
+          metadata.
+        </p>
       </header>
 
       <section className="upload-section">
@@ -620,7 +1678,7 @@ export default function App() {
             id="images"
             type="file"
             multiple
-            accept="image/jpeg,image/jpg,.jpg,.jpeg"
+            accept={sidecars ? undefined : IMAGE_ACCEPT}
             onChange={onImagesSelected}
             ref={imageInputRef}
           />
@@ -637,59 +1695,370 @@ export default function App() {
         </div>
         <div className="uploader">
           <label className="label" htmlFor="xlsx">
-            XLSX file
+            Metadata sheet (XLSX, ODS, CSV, TSV, JSON)
           </label>
           <input
             id="xlsx"
             type="file"
-            accept=".xlsx,application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+            accept={SHEET_ACCEPT}
             onChange={onXlsxSelected}
             ref={xlsxInputRef}
           />
+          {workbook && (
+            <div className="sheet-options">
+              {workbook.SheetNames.length > 1 && (
+                <label>
+                  Sheet
+                  <select
+                    value={sheetName}
+                    onChange={(e) => setSheetName(e.target.value)}
+                  >
+                    {workbook.SheetNames.map((n) => (
+                      <option key={n} value={n}>
+                        {n}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+              )}
+              <label>
+                Header row
+                <input
+                  type="number"
+                  min={1}
+                  value={headerRow}
+                  onChange={(e) =>
+                    setHeaderRow(Math.max(1, Number(e.target.value) || 1))
+                  }
+                />
+              </label>
+            </div>
+          )}
           <small>
             {xlsxRows.length
               ? `${xlsxRows.length} row(s) loaded`
-              : "No XLSX yet"}
+              : workbook
+              ? "No rows below the header row"
+              : "No sheet yet"}
           </small>
-          {xlsxRows.length > 0 && (
+          {workbook && (
             <button className="subbtn" onClick={clearXlsx}>
-              Remove XLSX
+              Remove Sheet
+            </button>
+          )}
+        </div>
+        <div className="uploader">
+          <label className="label" htmlFor="vocabulary">
+            Keyword vocabulary (optional)
+          </label>
+          <input
+            id="vocabulary"
+            type="file"
+            accept={SHEET_ACCEPT}
+            onChange={onVocabularySelected}
+            ref={vocabularyInputRef}
+          />
+          <small>
+            {vocabulary
+              ? `${vocabulary.size} keyword(s) from ${vocabulary.name}`
+              : "Keywords are written as typed"}
+          </small>
+          {vocabulary && (
+            <button className="subbtn" onClick={clearVocabulary}>
+              Remove Vocabulary
             </button>
           )}
         </div>
       </section>
 
+      <section className="options">
+        <label>
+          <input
+            type="checkbox"
+            checked={mergeXmp}
+            onChange={(e) => setMergeXmp(e.target.checked)}
+          />
+          Merge with existing XMP (keep other properties)
+        </label>
+        <label title="Leaves the images unchanged; any file named in the sheet is accepted, RAW files included">
+          <input
+            type="checkbox"
+            checked={sidecars}
+            onChange={(e) => changeSidecars(e.target.checked)}
+          />
+          Write XMP sidecars instead of updating images
+        </label>
+        <label title="Moves the capture date each file already has; rows with a Date taken are written as given">
+          Shift capture dates by
+          <input
+            type="text"
+            value={dateShiftText}
+            placeholder="e.g. +1:30 or -1d 2h"
+            onChange={(e) => setDateShiftText(e.target.value)}
+          />
+        </label>
+        {dateShift.error && <span className="error">{dateShift.error}</span>}
+      </section>
+
+      <section className="options">
+        <span>Filename matching:</span>
+        {MATCH_OPTIONS.map(([key, label]) => (
+          <label key={key}>
+            <input
+              type="checkbox"
+              checked={matchOptions[key]}
+              onChange={(e) =>
+                setMatchOptions({ ...matchOptions, [key]: e.target.checked })
+              }
+            />
+            {label}
+          </label>
+        ))}
+      </section>
+
+      <section className="options">
+        <span>Languages:</span>
+        <label>
+          x-default
+          <select
+            value={languages.xDefault}
+            onChange={(e) =>
+              changeLanguages({ ...languages, xDefault: e.target.value })
+            }
+          >
+            <option value="">Untagged column</option>
+            {sheetLanguages.map((lang) => (
+              <option key={lang} value={lang}>
+                {lang}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label>
+          IPTC/EXIF
+          <select
+            value={languages.legacy}
+            onChange={(e) =>
+              changeLanguages({ ...languages, legacy: e.target.value })
+            }
+          >
+            <option value="">Same as x-default</option>
+            {sheetLanguages.map((lang) => (
+              <option key={lang} value={lang}>
+                {lang}
+              </option>
+            ))}
+          </select>
+        </label>
+      </section>
+
+      <section className="options">
+        <label>
+          <input
+            type="checkbox"
+            checked={strip.enabled}
+            onChange={(e) =>
+              changeStrip({ ...strip, enabled: e.target.checked })
+            }
+          />
+          Strip before tagging:
+        </label>
+        {STRIP_CATEGORIES.map(([key, label]) => (
+          <label key={key}>
+            <input
+              type="checkbox"
+              checked={strip[key]}
+              disabled={!strip.enabled}
+              onChange={(e) =>
+                changeStrip({ ...strip, [key]: e.target.checked })
+              }
+            />
+            {label}
+          </label>
+        ))}
+      </section>
+
+      <NamingPanel naming={naming} onChange={changeNaming} />
+
+      <RightsPanel settings={rights} onChange={changeRights} />
+
+      <TransliterationPanel
+        settings={translitSettings}
+        onChange={changeTransliteration}
+      />
+
+      <WordPressPanel
+        settings={wordpress}
+        password={wpPassword}
+        onChange={changeWordpress}
+        onPasswordChange={setWpPassword}
+      />
+
+      <MappingPanel
+        mappings={mappings}
+        onChange={setMappings}
+        columns={sheetColumns}
+        profiles={profiles}
+        activeProfile={activeProfile}
+        onSelectProfile={selectProfile}
+        onSaveProfile={saveProfile}
+        onDeleteProfile={deleteProfile}
+      />
+
+      {images.length > 0 && xlsxRows.length > 0 && (
+        <PreflightReport
+          issues={issues}
+          acknowledged={acknowledged}
+          onAcknowledge={acknowledge}
+        />
+      )}
+
       <section className="actions">
         <button
           onClick={applyMetadata}
-          disabled={!images.length || !xlsxRows.length || processing}
+          disabled={
+            !images.length ||
+            !xlsxRows.length ||
+            processing ||
+            publishing ||
+            openIssues > 0 ||
+            !!dateShift.error
+          }
+          title={
+            openIssues
+              ? "Fix or acknowledge the preflight issues first"
+              : dateShift.error || undefined
+          }
         >
           {processing ? "Processing…" : "Apply Metadata"}
         </button>
         <button
-          onClick={downloadZip}
-          disabled={!images.some((i) => i.status === "updated")}
+          onClick={() => publishToWordpress(unpublished)}
+          disabled={
+            !unpublished.length || processing || publishing || !!publishBlocked
+          }
+          title={publishBlocked || undefined}
+        >
+          {publishing
+            ? "Publishing…"
+            : wordpress.dryRun
+            ? "Publish to WordPress (dry run)"
+            : "Publish to WordPress"}
+        </button>
+        <button onClick={downloadZip} disabled={!images.some(isWritten)}>
+          {sidecars ? "Download Sidecars ZIP" : "Download Updated ZIP"}
+        </button>
+        <button
+          onClick={() => downloadReport("csv")}
+          disabled={processing || (!hasProcessed && !lastReport)}
         >
-          Download Updated ZIP
+          Report (CSV)
         </button>
         <button
-          onClick={clearUploads}
-          disabled={!images.length && !xlsxRows.length}
+          onClick={() => downloadReport("xlsx")}
+          disabled={processing || (!hasProcessed && !lastReport)}
         >
+          Report (XLSX)
+        </button>
+        <button onClick={exportSheet} disabled={!images.length}>
+          Export Sheet
+        </button>
+        <button
+          onClick={downloadEditedSheet}
+          disabled={!Object.keys(edits).length}
+        >
+          Download Edited Sheet
+        </button>
+        <button onClick={clearUploads} disabled={!images.length && !workbook}>
           Remove All Uploads
         </button>
       </section>
 
+      {(processing || publishing) && (
+        <section className="progress">
+          <progress value={progress.done} max={progress.total} />
+          <span>
+            {progress.done} / {progress.total}{" "}
+            {publishing ? "published" : "processed"}
+          </span>
+          <button onClick={cancelProcessing}>Cancel</button>
+        </section>
+      )}
+
+      {!processing && !publishing && <BatchSummary images={images} />}
+
       <section className="grid">
         {images.map((img, idx) => (
           <div key={idx} className="card">
-            <img src={img.url} alt={img.file.name} />
+            {hasPreview(img.file.name) ? (
+              <img src={img.url} alt={img.file.name} />
+            ) : (
+              <div className="no-preview">{fileExtension(img.file.name)}</div>
+            )}
             <div className="info">
               <div className="name">Source: {img.file.name}</div>
               <div className="name">Output: {img.newName}</div>
               <div className={`status ${img.status}`}>{img.status}</div>
               {img.error && <div className="error">{img.error}</div>}
-              {img.status === "updated" && img.updatedBlob && (
+              {img.note && <small className="note">{img.note}</small>}
+              {rowFor(img.file.name) && (
+                <AccessibilityWarnings
+                  row={rowFor(img.file.name)}
+                  fileName={img.file.name}
+                  mappings={mappings}
+                  transliteration={transliteration}
+                  languages={languages}
+                  vocabulary={vocabulary}
+                />
+              )}
+              {img.removed && (
+                <small className="note">
+                  {img.removed.length
+                    ? `Removed: ${img.removed.join(", ")}`
+                    : "Nothing to remove"}
+                </small>
+              )}
+              {rowFor(img.file.name) && (
+                <MetadataEditor
+                  row={rowFor(img.file.name)}
+                  edits={edits[img.file.name]}
+                  mappings={mappings}
+                  onChange={(fields) => editImage(img.file.name, fields)}
+                />
+              )}
+              {sidecars ? (
+                <SidecarPreview
+                  img={img}
+                  row={rowFor(img.file.name)}
+                  mappings={mappings}
+                  transliteration={transliteration}
+                  languages={languages}
+                  vocabulary={vocabulary}
+                  dateShift={dateShift.seconds}
+                />
+              ) : (
+                <MetadataDiff
+                  img={img}
+                  row={rowFor(img.file.name)}
+                  mappings={mappings}
+                  mergeXmp={mergeXmp}
+                  transliteration={transliteration}
+                  languages={languages}
+                  vocabulary={vocabulary}
+                  dateShift={dateShift.seconds}
+                />
+              )}
+              {img.mismatches?.length > 0 && (
+                <VerificationWarnings mismatches={img.mismatches} />
+              )}
+              {img.media && (
+                <MediaStatus
+                  media={img.media}
+                  onRetry={() => publishToWordpress([img])}
+                  disabled={processing || publishing || !!publishBlocked}
+                />
+              )}
+              {isWritten(img) && (
                 <a
                   className="download"
                   href={URL.createObjectURL(img.updatedBlob)}
@@ -705,7 +2074,7 @@ export default function App() {
 
       {xlsxRows.length > 0 && (
         <section className="table-preview">
-          <h2>XLSX Preview (first 5 rows)</h2>
+          <h2>Sheet Preview (first 5 rows)</h2>
           <div className="table">
             <div className="thead">
               <div>
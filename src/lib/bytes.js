@@ -0,0 +1,157 @@
+// UTF-8 encoder
+export const utf8 = (s) => new TextEncoder().encode(s);
+
+// Concatenate byte arrays
+export const concatBytes = (parts) => {
+  let total = 0;
+  for (const p of parts) total += p.length;
+  const out = new Uint8Array(total);
+  let pos = 0;
+  for (const p of parts) {
+    out.set(p, pos);
+    pos += p.length;
+  }
+  return out;
+};
+
+// Convert bytes to the binary string form piexif accepts (chunked to avoid stack limits)
+export const bytesToBinaryString = (bytes) => {
+  let s = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    s += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return s;
+};
+
+// Convert a piexif binary string back to bytes
+export const binaryStringToBytes = (s) => {
+  const bytes = new Uint8Array(s.length);
+  for (let i = 0; i < s.length; i++) bytes[i] = s.charCodeAt(i);
+  return bytes;
+};
+
+// JPEG marker segments before SOS as [{type, segment}], each segment with
+// its marker and length bytes
+export const jpegSegments = (jpegBytes) => {
+  const segments = [];
+  let offset = 2;
+  while (offset + 4 <= jpegBytes.length) {
+    if (jpegBytes[offset] !== 0xff) break;
+    const type = jpegBytes[offset + 1];
+    if (type === 0xda) break; // SOS
+    const len = (jpegBytes[offset + 2] << 8) | jpegBytes[offset + 3];
+    segments.push({
+      type,
+      segment: jpegBytes.subarray(offset, offset + 2 + len),
+    });
+    offset += 2 + len;
+  }
+  return segments;
+};
+
+// Drop the JPEG marker segments before SOS for which test(type, segment)
+// is true; returns { bytes, count } with the number of segments removed
+export const removeJpegSegments = (jpegBytes, test) => {
+  const parts = [jpegBytes.slice(0, 2)];
+  let count = 0;
+  let offset = 2;
+  while (offset + 4 <= jpegBytes.length) {
+    if (jpegBytes[offset] !== 0xff) break;
+    const type = jpegBytes[offset + 1];
+    if (type === 0xda) break; // SOS
+    const len = (jpegBytes[offset + 2] << 8) | jpegBytes[offset + 3];
+    const segEnd = offset + 2 + len;
+    const segment = jpegBytes.subarray(offset, segEnd);
+    if (test(type, segment)) count++;
+    else parts.push(segment);
+    offset = segEnd;
+  }
+  if (!count) return { bytes: jpegBytes, count };
+  if (offset < jpegBytes.length) parts.push(jpegBytes.subarray(offset));
+  return { bytes: concatBytes(parts), count };
+};
+
+// JPEG files start with the SOI marker
+export const isJpeg = (bytes) =>
+  bytes.length >= 2 && bytes[0] === 0xff && bytes[1] === 0xd8;
+
+// CRC-32 (as used by PNG chunks) of a byte array
+let crcTable = null;
+export const crc32 = (bytes) => {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      crcTable[n] = c >>> 0;
+    }
+  }
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+// MD5 of a byte array as uppercase hex; Extended XMP uses it as the packet GUID
+export const md5Hex = (bytes) => {
+  const K = new Uint32Array(64);
+  for (let i = 0; i < 64; i++) {
+    K[i] = Math.floor(Math.abs(Math.sin(i + 1)) * 0x100000000);
+  }
+  const S = [7, 12, 17, 22, 5, 9, 14, 20, 4, 11, 16, 23, 6, 10, 15, 21];
+  const len = bytes.length;
+  const padded = new Uint8Array((((len + 8) >> 6) + 1) << 6);
+  padded.set(bytes);
+  padded[len] = 0x80;
+  const view = new DataView(padded.buffer);
+  view.setUint32(padded.length - 8, (len << 3) >>> 0, true);
+  view.setUint32(padded.length - 4, Math.floor(len / 0x20000000), true);
+  let a0 = 0x67452301;
+  let b0 = 0xefcdab89;
+  let c0 = 0x98badcfe;
+  let d0 = 0x10325476;
+  const M = new Uint32Array(16);
+  for (let off = 0; off < padded.length; off += 64) {
+    for (let i = 0; i < 16; i++) M[i] = view.getUint32(off + i * 4, true);
+    let a = a0;
+    let b = b0;
+    let c = c0;
+    let d = d0;
+    for (let i = 0; i < 64; i++) {
+      let f;
+      let g;
+      if (i < 16) {
+        f = (b & c) | (~b & d);
+        g = i;
+      } else if (i < 32) {
+        f = (d & b) | (~d & c);
+        g = (5 * i + 1) % 16;
+      } else if (i < 48) {
+        f = b ^ c ^ d;
+        g = (3 * i + 5) % 16;
+      } else {
+        f = c ^ (b | ~d);
+        g = (7 * i) % 16;
+      }
+      const tmp = d;
+      d = c;
+      c = b;
+      const sum = (a + f + K[i] + M[g]) >>> 0;
+      const r = S[(i >> 4) * 4 + (i % 4)];
+      b = (b + ((sum << r) | (sum >>> (32 - r)))) >>> 0;
+      a = tmp;
+    }
+    a0 = (a0 + a) >>> 0;
+    b0 = (b0 + b) >>> 0;
+    c0 = (c0 + c) >>> 0;
+    d0 = (d0 + d) >>> 0;
+  }
+  const out = new DataView(new ArrayBuffer(16));
+  [a0, b0, c0, d0].forEach((w, i) => out.setUint32(i * 4, w, true));
+  let hex = "";
+  for (let i = 0; i < 16; i++) {
+    hex += out.getUint8(i).toString(16).padStart(2, "0");
+  }
+  return hex.toUpperCase();
+};
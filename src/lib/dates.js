@@ -0,0 +1,212 @@
+// Capture dates are kept as calendar fields rather than Date objects so a
+// partial date (year, or year and month) and an unknown UTC offset survive:
+// { year, month, day, hour, minute, second, offset }, where month/day are
+// null when unknown, hour/minute/second are null without a time and offset
+// is in minutes or null.
+
+const pad = (n, width = 2) => String(Math.abs(n)).padStart(width, "0");
+
+// Sheets keep a typed year such as 1965 as a number; the serials of
+// 1904-1906 are not worth the ambiguity
+const YEAR_NUMBERS = [1800, 2200];
+
+// Day 0 of Excel's 1900 date system (serial 1 is 1900-01-01; the phantom
+// 1900-02-29 makes this epoch right for every serial after 60)
+const EXCEL_EPOCH = Date.UTC(1899, 11, 30);
+
+const ISO_DATE =
+  /^(\d{4})(?:[-:./](\d{1,2})(?:[-:./](\d{1,2}))?)?(?:[ T]+(\d{1,2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?)?\s*(Z|[+-]\d{2}:?\d{2})?$/i;
+const DAY_FIRST_DATE =
+  /^(\d{1,2})[./-](\d{1,2})[./-](\d{4})\.?(?:[ T,]+(\d{1,2})[:.](\d{2})(?:[:.](\d{2}))?)?\s*(Z|[+-]\d{2}:?\d{2})?$/i;
+
+const parseOffset = (s) => {
+  if (!s) return null;
+  if (s.toUpperCase() === "Z") return 0;
+  const m = s.match(/^([+-])(\d{2}):?(\d{2})$/);
+  return (m[1] === "-" ? -1 : 1) * (Number(m[2]) * 60 + Number(m[3]));
+};
+
+const daysInMonth = (year, month) =>
+  new Date(Date.UTC(year, month, 0)).getUTCDate();
+
+const fromParts = ([year, month, day, hour, minute, second, offset]) => {
+  const num = (s) => (s === undefined ? null : Number(s));
+  const date = {
+    year: Number(year),
+    month: num(month),
+    day: num(day),
+    hour: num(hour),
+    minute: num(minute),
+    second: hour === undefined ? null : num(second) ?? 0,
+    offset: parseOffset(offset),
+  };
+  const valid =
+    (date.month === null || (date.month >= 1 && date.month <= 12)) &&
+    (date.day === null ||
+      (date.day >= 1 && date.day <= daysInMonth(date.year, date.month))) &&
+    (date.hour === null ||
+      (date.day !== null &&
+        date.hour < 24 &&
+        date.minute < 60 &&
+        date.second < 60)) &&
+    (date.offset === null || Math.abs(date.offset) <= 14 * 60);
+  return valid ? date : null;
+};
+
+const fromTimestamp = (ms, offset) => {
+  const d = new Date(ms);
+  return {
+    year: d.getUTCFullYear(),
+    month: d.getUTCMonth() + 1,
+    day: d.getUTCDate(),
+    hour: d.getUTCHours(),
+    minute: d.getUTCMinutes(),
+    second: d.getUTCSeconds(),
+    offset,
+  };
+};
+
+// Parse a Date taken cell: an Excel serial (with an optional time
+// fraction), a year typed as a number, ISO and EXIF forms ("2021-05-04",
+// "2021-05-04T13:45:12+02:00", "2021:05:04 13:45:12", "1965-05", "1965") or
+// day-first dates ("04.05.2021.", "4/5/2021 13:45"). Returns null for an
+// empty cell and throws on anything else.
+export const parseDateTaken = (value) => {
+  if (typeof value === "number") {
+    if (
+      Number.isInteger(value) &&
+      value >= YEAR_NUMBERS[0] &&
+      value <= YEAR_NUMBERS[1]
+    ) {
+      return fromParts([String(value)]);
+    }
+    if (!Number.isFinite(value) || value < 1) {
+      throw new Error(`Date taken ${value} is not a date.`);
+    }
+    const seconds = Math.round(value * 86400);
+    const date = fromTimestamp(EXCEL_EPOCH + seconds * 1000, null);
+    // A whole serial is a date without a time
+    if (seconds % 86400 === 0) {
+      return { ...date, hour: null, minute: null, second: null };
+    }
+    return date;
+  }
+  const s = (value ?? "").toString().trim();
+  if (!s) return null;
+  const iso = s.match(ISO_DATE);
+  const dayFirst = !iso && s.match(DAY_FIRST_DATE);
+  const date = iso
+    ? fromParts(iso.slice(1))
+    : dayFirst
+    ? fromParts([dayFirst[3], dayFirst[2], dayFirst[1], ...dayFirst.slice(4)])
+    : null;
+  if (!date) throw new Error(`Date taken "${s}" is not a date.`);
+  return date;
+};
+
+const isFullDate = (date) => date?.month != null && date?.day != null;
+
+const offsetText = (offset, separator) => {
+  const sign = offset < 0 ? "-" : "+";
+  const abs = Math.abs(offset);
+  return `${sign}${pad(Math.floor(abs / 60))}${separator}${pad(abs % 60)}`;
+};
+
+// EXIF DateTimeOriginal text ("2021:05:04 13:45:12"); null for partial
+// dates, which EXIF cannot hold
+export const exifDateTime = (date) => {
+  if (!isFullDate(date)) return null;
+  const day = `${pad(date.year, 4)}:${pad(date.month)}:${pad(date.day)}`;
+  if (date.hour === null) return `${day} 00:00:00`;
+  return `${day} ${pad(date.hour)}:${pad(date.minute)}:${pad(date.second)}`;
+};
+
+// EXIF OffsetTime* text ("+02:00"), or null when the offset is unknown
+export const exifOffsetTime = (date) =>
+  isFullDate(date) && date.offset !== null
+    ? offsetText(date.offset, ":")
+    : null;
+
+// XMP date ("1965", "1965-05", "2021-05-04T13:45:12+02:00")
+export const xmpDate = (date) => {
+  let s = pad(date.year, 4);
+  if (date.month === null) return s;
+  s += `-${pad(date.month)}`;
+  if (date.day === null) return s;
+  s += `-${pad(date.day)}`;
+  if (date.hour === null) return s;
+  s += `T${pad(date.hour)}:${pad(date.minute)}:${pad(date.second)}`;
+  return date.offset === null ? s : s + offsetText(date.offset, ":");
+};
+
+// IPTC 2:055 Date Created ("CCYYMMDD", 00 for an unknown month or day)
+export const iptcDate = (date) =>
+  `${pad(date.year, 4)}${pad(date.month ?? 0)}${pad(date.day ?? 0)}`;
+
+// IPTC 2:060 Time Created ("HHMMSS±HHMM"), or null without a time. The
+// dataset requires an offset; an unknown one is written as +0000.
+export const iptcTime = (date) =>
+  date.hour === null
+    ? null
+    : `${pad(date.hour)}${pad(date.minute)}${pad(date.second)}` +
+      offsetText(date.offset ?? 0, "");
+
+// Parse an EXIF date/time and optional OffsetTime pair; null when unset
+export const parseExifDateTime = (text, offset) => {
+  const m = (text || "")
+    .toString()
+    .match(/^(\d{4}):(\d{2}):(\d{2}) (\d{2}):(\d{2}):(\d{2})/);
+  if (!m || m[1] === "0000") return null;
+  const valid = (offset || "").toString().match(/^[+-]\d{2}:\d{2}/);
+  return fromParts([...m.slice(1), valid?.[0]]);
+};
+
+// Parse IPTC 2:055/2:060 values; null when the date is unset
+export const parseIptcDateTime = (dateText, timeText) => {
+  const d = (dateText || "").match(/^(\d{4})(\d{2})(\d{2})$/);
+  if (!d) return null;
+  const t = (timeText || "").match(/^(\d{2})(\d{2})(\d{2})([+-]\d{4})?$/);
+  const month = d[2] === "00" ? undefined : d[2];
+  const day = month && d[3] !== "00" ? d[3] : undefined;
+  return fromParts([d[1], month, day, ...(t && day ? t.slice(1) : [])]);
+};
+
+const SHIFT_UNITS = { d: 86400, h: 3600, m: 60, s: 1 };
+
+// Parse a batch date shift into seconds: "+1:30" or "-0:45:10" (hours,
+// minutes and optional seconds) or units "+1d 2h 30m 15s". A leading sign
+// applies to the whole shift. Empty text is no shift; throws otherwise.
+export const parseDateShift = (text) => {
+  let s = (text ?? "").toString().trim().toLowerCase();
+  if (!s) return 0;
+  const invalid = new Error(`Date shift "${text}" is not a time offset.`);
+  const sign = s.startsWith("-") ? -1 : 1;
+  s = s.replace(/^[+-]\s*/, "");
+  const clock = s.match(/^(\d+):(\d{2})(?::(\d{2}))?$/);
+  if (clock) {
+    const [h, m, sec] = clock.slice(1).map((n) => Number(n ?? 0));
+    if (m >= 60 || sec >= 60) throw invalid;
+    return sign * (h * 3600 + m * 60 + sec);
+  }
+  if (!/^(?:\d+\s*[dhms]\s*)+$/.test(s)) throw invalid;
+  let seconds = 0;
+  for (const [, n, unit] of s.matchAll(/(\d+)\s*([dhms])/g)) {
+    seconds += Number(n) * SHIFT_UNITS[unit];
+  }
+  return sign * seconds;
+};
+
+// A date moved by a number of seconds; dates without a day are returned as
+// they are, and a date without a time is taken as midnight
+export const shiftDate = (date, seconds) => {
+  if (!isFullDate(date) || !seconds) return date;
+  const ms = Date.UTC(
+    date.year,
+    date.month - 1,
+    date.day,
+    date.hour ?? 0,
+    date.minute ?? 0,
+    date.second ?? 0
+  );
+  return fromTimestamp(ms + seconds * 1000, date.offset);
+};
@@ -0,0 +1,226 @@
+import piexif from "piexifjs";
+import { binaryStringToBytes, bytesToBinaryString, isJpeg } from "./bytes.js";
+import { exifDateTime, exifOffsetTime, parseExifDateTime } from "./dates.js";
+import { gpsIfd, readGpsIfd } from "./gps.js";
+import { METADATA_TARGETS } from "./targets.js";
+import { sanitizeAsciiText } from "./text.js";
+
+// piexif predates Exif 2.31; without these entries it drops the OffsetTime
+// tags when loading and cannot write them
+const OFFSET_TIME_TAGS = {
+  36880: "OffsetTime",
+  36881: "OffsetTimeOriginal",
+  36882: "OffsetTimeDigitized",
+};
+for (const [tag, name] of Object.entries(OFFSET_TIME_TAGS)) {
+  piexif.TAGS.Exif[tag] ??= { name, type: "Ascii" };
+}
+const OFFSET_TIME_ORIGINAL = 36881;
+const OFFSET_TIME_DIGITIZED = 36882;
+
+// Encode Unicode safely for XP* tags (UTF-16LE byte array with null terminator)
+export const encodeXP = (str) => {
+  const bytes = [];
+  for (let i = 0; i < str.length; i++) {
+    const code = str.charCodeAt(i);
+    bytes.push(code & 0xff);
+    bytes.push((code >> 8) & 0xff);
+  }
+  // Null terminator
+  bytes.push(0);
+  bytes.push(0);
+  return bytes;
+};
+
+// Decode XP* tag bytes (UTF-16LE, optionally null-terminated) back to a string
+export const decodeXP = (bytes) => {
+  if (!bytes) return "";
+  if (typeof bytes === "string") return bytes;
+  let s = "";
+  for (let i = 0; i + 1 < bytes.length; i += 2) {
+    const code = bytes[i] | (bytes[i + 1] << 8);
+    if (code === 0) break;
+    s += String.fromCharCode(code);
+  }
+  return s;
+};
+
+// piexif loads bare TIFF-structured EXIF (PNG eXIf, WebP EXIF, whole TIFF
+// files) when it carries the JPEG APP1 header
+const EXIF_HEADER = "Exif\0\0";
+
+const loadExifTiff = (tiffBytes) =>
+  piexif.load(EXIF_HEADER + bytesToBinaryString(tiffBytes));
+
+// The EXIF fields we write, from a piexif object
+const exifFields = (exifObj) => {
+  const zeroth = exifObj["0th"] || {};
+  const exifIfd = exifObj.Exif || {};
+  const targets = {};
+  for (const t of METADATA_TARGETS) {
+    if (t.kind !== "exif") continue;
+    targets[t.id] =
+      t.encoding === "xp"
+        ? decodeXP(zeroth[t.tag])
+        : (zeroth[t.tag] || "").toString().replace(/\0+$/, "");
+  }
+  return {
+    targets,
+    title: decodeXP(zeroth[piexif.ImageIFD.XPTitle]),
+    comment: decodeXP(zeroth[piexif.ImageIFD.XPComment]),
+    keywords: decodeXP(zeroth[piexif.ImageIFD.XPKeywords]),
+    description: (zeroth[piexif.ImageIFD.ImageDescription] || "")
+      .toString()
+      .replace(/\0+$/, ""),
+    gps: readGpsIfd(exifObj.GPS),
+    dateTimeOriginal: (exifIfd[piexif.ExifIFD.DateTimeOriginal] || "")
+      .toString()
+      .replace(/\0+$/, ""),
+    dateTaken: parseExifDateTime(
+      exifIfd[piexif.ExifIFD.DateTimeOriginal],
+      exifIfd[OFFSET_TIME_ORIGINAL]
+    ),
+  };
+};
+
+// Read the EXIF fields we write from JPEG bytes
+export const readExifFields = (jpegBytes) => {
+  if (!isJpeg(jpegBytes)) return null;
+  return exifFields(piexif.load(bytesToBinaryString(jpegBytes)));
+};
+
+// Read the EXIF fields we write from TIFF-structured EXIF
+export const readExifTiff = (tiffBytes) => exifFields(loadExifTiff(tiffBytes));
+
+// Text a mapped EXIF target will hold; ASCII tags go through the same sanitizer as ImageDescription
+export const exifTargetText = (target, value, transliteration) =>
+  target.encoding === "ascii"
+    ? sanitizeAsciiText(value, transliteration)
+    : value;
+
+// Set EXIF ImageDescription, XP* tags, the capture date, the GPS position
+// and mapped EXIF targets on a piexif object
+const updateExifObject = (exifObj, values) => {
+  const {
+    title,
+    caption,
+    keywords,
+    asciiDescription,
+    targets = [],
+    gps,
+    date,
+    transliteration,
+  } = values;
+  // EXIF ImageDescription must be ASCII; use XLSX Description (fallback to Caption)
+  exifObj["0th"][piexif.ImageIFD.ImageDescription] = asciiDescription;
+  if (title) exifObj["0th"][piexif.ImageIFD.XPTitle] = encodeXP(title);
+  if (caption) exifObj["0th"][piexif.ImageIFD.XPComment] = encodeXP(caption);
+  if (keywords) exifObj["0th"][piexif.ImageIFD.XPKeywords] = encodeXP(keywords);
+  // Mapped EXIF tags are only written when the cell has a value
+  for (const { target, value } of targets) {
+    if (target.kind !== "exif" || !value) continue;
+    exifObj["0th"][target.tag] =
+      target.encoding === "xp"
+        ? encodeXP(value)
+        : exifTargetText(target, value, transliteration);
+  }
+  // A row without a full date keeps the existing capture dates
+  const dateTime = exifDateTime(date);
+  if (dateTime) {
+    const offset = exifOffsetTime(date);
+    exifObj.Exif = exifObj.Exif || {};
+    for (const [tag, offsetTag] of [
+      [piexif.ExifIFD.DateTimeOriginal, OFFSET_TIME_ORIGINAL],
+      [piexif.ExifIFD.DateTimeDigitized, OFFSET_TIME_DIGITIZED],
+    ]) {
+      exifObj.Exif[tag] = dateTime;
+      if (offset) exifObj.Exif[offsetTag] = offset;
+      else delete exifObj.Exif[offsetTag];
+    }
+  }
+  // A row without coordinates keeps the existing GPS IFD
+  if (gps?.latitude != null) {
+    exifObj.GPS = { ...exifObj.GPS, ...gpsIfd(gps) };
+  }
+  return exifObj;
+};
+
+// Serialize a piexif object as an APP1 "Exif\0\0" payload
+const dumpExif = (exifObj) => {
+  try {
+    return piexif.dump(exifObj);
+  } catch {
+    // Fallback: clear ImageDescription and retry if Latin1 encoding fails
+    exifObj["0th"][piexif.ImageIFD.ImageDescription] = "";
+    return piexif.dump(exifObj);
+  }
+};
+
+// Write the EXIF fields into JPEG bytes
+export const writeExifFields = (jpegBytes, values) => {
+  const jpeg = bytesToBinaryString(jpegBytes);
+  const exifObj = updateExifObject(piexif.load(jpeg), values);
+  return binaryStringToBytes(piexif.insert(dumpExif(exifObj), jpeg));
+};
+
+// TIFF-structured EXIF (for PNG eXIf and WebP EXIF chunks) with the fields
+// written, starting from the file's existing EXIF or from scratch
+export const buildExifTiff = (tiffBytes, values) => {
+  const exifObj = updateExifObject(
+    tiffBytes
+      ? loadExifTiff(tiffBytes)
+      : {
+          "0th": {},
+          Exif: {},
+          GPS: {},
+          Interop: {},
+          "1st": {},
+          thumbnail: null,
+        },
+    values
+  );
+  return binaryStringToBytes(dumpExif(exifObj).slice(EXIF_HEADER.length));
+};
+
+// TIFF-structured EXIF (a PNG eXIf or WebP EXIF chunk) after `edit` has
+// changed its piexif object in place, or null when `edit` returns false to
+// say nothing changed
+export const editExifTiff = (tiffBytes, edit) => {
+  const exifObj = loadExifTiff(tiffBytes);
+  if (edit(exifObj) === false) return null;
+  return binaryStringToBytes(piexif.dump(exifObj).slice(EXIF_HEADER.length));
+};
+
+const IFD_TAG_TYPES = { "0th": "Image", Exif: "Exif", GPS: "GPS" };
+
+// Tags that `edit` (changing a piexif object of the file in place) changes
+// in a TIFF file's own IFDs, for writeTiffTags:
+// {"0th" | "Exif" | "GPS": {tag: {type, value} | null}}
+export const tiffTagChanges = (tiffBytes, edit) => {
+  const before = loadExifTiff(tiffBytes);
+  const after = loadExifTiff(tiffBytes);
+  edit(after);
+  const changes = {};
+  for (const [ifd, section] of Object.entries(IFD_TAG_TYPES)) {
+    changes[ifd] = {};
+    const tags = new Set([
+      ...Object.keys(before[ifd] || {}),
+      ...Object.keys(after[ifd] || {}),
+    ]);
+    for (const tag of tags) {
+      const value = after[ifd]?.[tag];
+      if (JSON.stringify(before[ifd]?.[tag]) === JSON.stringify(value)) {
+        continue;
+      }
+      changes[ifd][tag] =
+        value === undefined
+          ? null
+          : { type: piexif.TAGS[section][tag].type, value };
+    }
+  }
+  return changes;
+};
+
+// Tags that writing the fields changes in a TIFF file's own IFDs
+export const exifTagChanges = (tiffBytes, values) =>
+  tiffTagChanges(tiffBytes, (exifObj) => updateExifObject(exifObj, values));
@@ -0,0 +1,195 @@
+import { formatForFileName, IMAGE_FORMATS } from "./formats.js";
+import { getField } from "./sheet.js";
+import { transliterate } from "./text.js";
+
+export const SLUG_DEFAULTS = {
+  lowercase: true,
+  separator: "-",
+  maxLength: 80,
+  stripPunctuation: true,
+};
+
+// What to do when two images end up with the same output name
+export const COLLISION_POLICIES = ["suffix", "skip", "fail"];
+
+export const NAMING_DEFAULTS = {
+  template: "",
+  slug: SLUG_DEFAULTS,
+  collisions: "suffix",
+};
+
+const escapeRegExp = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// URL- and file-system-friendly form of a value, e.g. for {Title|slug}
+export const slugify = (value, options = SLUG_DEFAULTS, transliteration) => {
+  const { lowercase, separator, maxLength, stripPunctuation } = {
+    ...SLUG_DEFAULTS,
+    ...options,
+  };
+  let s = transliterate((value ?? "").toString(), transliteration)
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "");
+  s = stripPunctuation
+    ? s.replace(/[^\p{L}\p{N}]+/gu, separator)
+    : s.replace(/\s+/g, separator);
+  if (lowercase) s = s.toLowerCase();
+  const sep = escapeRegExp(separator);
+  const edges = sep ? new RegExp(`^(?:${sep})+|(?:${sep})+$`, "g") : null;
+  if (edges) s = s.replace(edges, "");
+  if (maxLength > 0 && s.length > maxLength) {
+    s = s.slice(0, maxLength);
+    if (edges) s = s.replace(edges, "");
+  }
+  return s;
+};
+
+const stem = (fileName) => fileName.replace(/\.[^.]*$/, "");
+
+const TOKEN = /\{([^{}]+)\}/g;
+const TOKEN_HEAD = /^(.+?)(?:\[(\d+)\])?(?::(\d+))?$/;
+
+// Render a name template. Tokens are {Column}, {Column[n]} for the n-th
+// comma/semicolon-separated item, {index} for the image's 1-based position,
+// {source} and {source-stem}; ":03" zero-pads and "|slug", "|lower",
+// "|upper" filter the value. Text without braces is returned as is.
+export const renderTemplate = (
+  template,
+  { row, fileName, index, mappings, slug, transliteration }
+) =>
+  template.replace(TOKEN, (_, expr) => {
+    const [head, ...filters] = expr.split("|").map((s) => s.trim());
+    const [, name, item, pad] = head.match(TOKEN_HEAD) || [head, head];
+    let value;
+    if (name === "index") value = String(index);
+    else if (name === "source") value = fileName;
+    else if (name === "source-stem") value = stem(fileName);
+    else value = (getField(row, name, mappings) ?? "").toString().trim();
+    if (item !== undefined) {
+      value =
+        value
+          .split(/[,;]/)
+          .map((s) => s.trim())
+          .filter(Boolean)[Number(item)] || "";
+    }
+    if (pad) value = value.padStart(Number(pad), "0");
+    for (const filter of filters) {
+      if (filter === "slug") value = slugify(value, slug, transliteration);
+      else if (filter === "lower") value = value.toLowerCase();
+      else if (filter === "upper") value = value.toUpperCase();
+      else throw new Error(`Unknown template filter "${filter}".`);
+    }
+    return value;
+  });
+
+// Characters file systems and ZIP tools reject in a single path segment
+const isReservedChar = (ch) =>
+  ch.codePointAt(0) < 0x20 || '\\/:*?"<>|'.includes(ch);
+
+// ASCII-safe output file name with the extension of the source file's
+// format; a name ending in another image format's extension gets it replaced
+export const outputFileName = (outputName, transliteration, fileName) => {
+  // Accents the profile leaves are dropped; letters it has no entry for
+  // (Cyrillic under a Latin-only profile, ø, æ) become "-", one per run
+  const folded = transliterate(outputName, transliteration)
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[^\x20-\x7e]+/g, "-");
+  const safeOutputName = Array.from(folded)
+    .map((ch) => (isReservedChar(ch) ? "-" : ch))
+    .join("")
+    .trim();
+  const format = formatForFileName(fileName) || "jpeg";
+  const named = formatForFileName(safeOutputName);
+  if (named === format) return safeOutputName;
+  const base = named ? stem(safeOutputName) : safeOutputName;
+  return `${base}.${IMAGE_FORMATS[format].extensions[0]}`;
+};
+
+const withSuffix = (name, n) => {
+  const m = name.match(/^(.*?)(\.[^.]*)?$/);
+  return `${m[1]}-${n}${m[2] || ""}`;
+};
+
+// Decide every image's output name up front. `items` are
+// { fileName, row } in batch order (row null when unmatched). The
+// Output file name cell wins, then the template, then the source name. Only
+// the template is rendered: the cell and the source name are taken as
+// they are, so braces in them are kept. Returns one entry per item:
+// { name, status: "ok" | "renamed" | "skipped" | "failed", conflict, wanted },
+// where conflict is the source file that already claimed the name and
+// wanted is the name before a suffix was added.
+export const planOutputNames = (
+  items,
+  mappings,
+  naming = NAMING_DEFAULTS,
+  transliteration
+) => {
+  const { template, slug, collisions } = { ...NAMING_DEFAULTS, ...naming };
+  const taken = new Set();
+  const planned = items.map(({ fileName, row }, i) => {
+    if (!row) return { name: null, status: "ok", conflict: null, wanted: null };
+    const cell = (getField(row, "Output file name", mappings) || "")
+      .toString()
+      .trim();
+    const rendered =
+      cell ||
+      (template
+        ? renderTemplate(template, {
+            row,
+            fileName,
+            index: i + 1,
+            mappings,
+            slug,
+            transliteration,
+          })
+        : fileName);
+    const name = outputFileName(rendered, transliteration, fileName);
+    const key = name.toLowerCase();
+    taken.add(key);
+    return { name, key, wanted: name, status: "ok", conflict: null };
+  });
+
+  // Resolve in batch order: the first image keeps the name
+  const claimed = new Map();
+  planned.forEach((p, i) => {
+    if (!p.name) return;
+    const owner = claimed.get(p.key);
+    if (!owner) {
+      claimed.set(p.key, items[i].fileName);
+      return;
+    }
+    p.conflict = owner;
+    if (collisions === "skip") {
+      p.status = "skipped";
+    } else if (collisions === "fail") {
+      p.status = "failed";
+    } else {
+      const inUse = (n) =>
+        claimed.has(withSuffix(p.key, n)) || taken.has(withSuffix(p.key, n));
+      let n = 2;
+      while (inUse(n)) n++;
+      p.name = withSuffix(p.name, n);
+      p.status = "renamed";
+      claimed.set(p.name.toLowerCase(), items[i].fileName);
+    }
+  });
+  // Under "fail" the image that claimed the name fails too
+  if (collisions === "fail") {
+    const failedKeys = new Set(
+      planned.filter((p) => p.status === "failed").map((p) => p.key)
+    );
+    planned.forEach((p, i) => {
+      if (p.status !== "ok" || !failedKeys.has(p.key)) return;
+      p.status = "failed";
+      p.conflict = planned
+        .map((q, j) => (q.key === p.key && j !== i ? items[j].fileName : null))
+        .find(Boolean);
+    });
+  }
+  return planned.map(({ name, status, conflict, wanted }) => ({
+    name,
+    status,
+    conflict,
+    wanted,
+  }));
+};
@@ -0,0 +1,57 @@
+import { isJpeg } from "./bytes.js";
+import { isPng } from "./png.js";
+import { isTiff } from "./tiff.js";
+import { isWebp } from "./webp.js";
+
+// Image formats metadata can be written to. The first extension is the one
+// output names get when they lack one; `iptc` is false for formats with no
+// place for an IPTC IIM block.
+export const IMAGE_FORMATS = {
+  jpeg: {
+    label: "JPEG",
+    mime: "image/jpeg",
+    extensions: ["jpg", "jpeg"],
+    iptc: true,
+  },
+  png: { label: "PNG", mime: "image/png", extensions: ["png"], iptc: false },
+  webp: {
+    label: "WebP",
+    mime: "image/webp",
+    extensions: ["webp"],
+    iptc: false,
+  },
+  tiff: {
+    label: "TIFF",
+    mime: "image/tiff",
+    extensions: ["tif", "tiff"],
+    iptc: true,
+  },
+};
+
+// Value for a file input's accept attribute
+export const IMAGE_ACCEPT = Object.values(IMAGE_FORMATS)
+  .flatMap(({ mime, extensions }) => [mime, ...extensions.map((e) => `.${e}`)])
+  .join(",");
+
+// Format of a file from its leading bytes, or null when unsupported
+export const imageFormat = (bytes) => {
+  if (isJpeg(bytes)) return "jpeg";
+  if (isPng(bytes)) return "png";
+  if (isWebp(bytes)) return "webp";
+  if (isTiff(bytes)) return "tiff";
+  return null;
+};
+
+const extensionOf = (fileName) => {
+  const m = (fileName || "").match(/\.([^./\\]+)$/);
+  return m ? m[1].toLowerCase() : "";
+};
+
+// Format of a file from its extension, or null when unsupported
+export const formatForFileName = (fileName) => {
+  const ext = extensionOf(fileName);
+  const entry = Object.entries(IMAGE_FORMATS).find(([, f]) =>
+    f.extensions.includes(ext)
+  );
+  return entry ? entry[0] : null;
+};
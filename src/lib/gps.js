@@ -0,0 +1,120 @@
+import piexif from "piexifjs";
+
+const HEMISPHERES = { latitude: "NS", longitude: "EW" };
+const LIMITS = { latitude: 90, longitude: 180 };
+const LABELS = { latitude: "Latitude", longitude: "Longitude" };
+
+const inRange = (deg, axis) => {
+  if (!Number.isFinite(deg) || Math.abs(deg) > LIMITS[axis]) {
+    throw new Error(`${LABELS[axis]} ${deg} is out of range.`);
+  }
+  return deg;
+};
+
+// Parse a latitude or longitude cell: decimal degrees ("44.8125", "-20,46")
+// or degrees/minutes/seconds ("44°48'45\"N", "44 48 45.2 N", "N 44° 48.75'").
+// Returns signed decimal degrees, or null for an empty cell; throws on
+// anything else.
+export const parseCoordinate = (value, axis) => {
+  if (typeof value === "number") return inRange(value, axis);
+  let s = (value ?? "").toString().trim();
+  if (!s) return null;
+  const invalid = new Error(`${LABELS[axis]} "${s}" is not a coordinate.`);
+  // Decimal comma ("44,8125"); otherwise commas separate DMS parts
+  if (/^[-+]?\d+,\d+$/.test(s)) s = s.replace(",", ".");
+  if (/[^\d\s.,°º'"′″’”NSEWnsew+-]/.test(s)) throw invalid;
+  const hemisphere = s.match(/[NSEW]/i)?.[0].toUpperCase();
+  if (hemisphere && !HEMISPHERES[axis].includes(hemisphere)) throw invalid;
+  const parts = (s.match(/\d+(?:\.\d+)?/g) || []).map(Number);
+  if (!parts.length || parts.length > 3) throw invalid;
+  const [d, m = 0, sec = 0] = parts;
+  if (m >= 60 || sec >= 60) throw invalid;
+  const deg = d + m / 60 + sec / 3600;
+  const negative =
+    s.startsWith("-") || hemisphere === "S" || hemisphere === "W";
+  return inRange(negative ? -deg : deg, axis);
+};
+
+// Parse an altitude cell in metres ("117", "117.5 m", "-3"); null when empty
+export const parseAltitude = (value) => {
+  if (typeof value === "number") return value;
+  const s = (value ?? "").toString().trim();
+  if (!s) return null;
+  const m = s.match(/^([-+]?\d+(?:[.,]\d+)?)\s*m?$/i);
+  if (!m) throw new Error(`Altitude "${s}" is not a number of metres.`);
+  return Number(m[1].replace(",", "."));
+};
+
+// Degrees, minutes and seconds (to 1/1000") of an absolute coordinate
+const toDms = (deg) => {
+  const total = Math.round(Math.abs(deg) * 3600 * 1000);
+  return [
+    Math.floor(total / 3600000),
+    Math.floor((total % 3600000) / 60000),
+    (total % 60000) / 1000,
+  ];
+};
+
+const ref = (deg, axis) => HEMISPHERES[axis][deg < 0 ? 1 : 0];
+
+// piexif GPS IFD entries for a position; altitude is optional
+export const gpsIfd = ({ latitude, longitude, altitude }) => {
+  const rationals = (deg) => {
+    const [d, m, s] = toDms(deg);
+    return [
+      [d, 1],
+      [m, 1],
+      [Math.round(s * 1000), 1000],
+    ];
+  };
+  const ifd = {
+    [piexif.GPSIFD.GPSVersionID]: [2, 3, 0, 0],
+    [piexif.GPSIFD.GPSLatitudeRef]: ref(latitude, "latitude"),
+    [piexif.GPSIFD.GPSLatitude]: rationals(latitude),
+    [piexif.GPSIFD.GPSLongitudeRef]: ref(longitude, "longitude"),
+    [piexif.GPSIFD.GPSLongitude]: rationals(longitude),
+  };
+  if (altitude != null) {
+    ifd[piexif.GPSIFD.GPSAltitudeRef] = altitude < 0 ? 1 : 0;
+    ifd[piexif.GPSIFD.GPSAltitude] = [
+      Math.round(Math.abs(altitude) * 100),
+      100,
+    ];
+  }
+  return ifd;
+};
+
+// Position stored in a piexif GPS IFD, or null when it has none
+export const readGpsIfd = (gps = {}) => {
+  const lat = gps[piexif.GPSIFD.GPSLatitude];
+  const lon = gps[piexif.GPSIFD.GPSLongitude];
+  if (!lat || !lon) return null;
+  const decimal = (dms, negative) => {
+    const [d, m, s] = dms.map(([n, q]) => (q ? n / q : 0));
+    const deg = d + m / 60 + s / 3600;
+    return negative ? -deg : deg;
+  };
+  const alt = gps[piexif.GPSIFD.GPSAltitude];
+  return {
+    latitude: decimal(lat, gps[piexif.GPSIFD.GPSLatitudeRef] === "S"),
+    longitude: decimal(lon, gps[piexif.GPSIFD.GPSLongitudeRef] === "W"),
+    altitude:
+      alt && alt[1]
+        ? (gps[piexif.GPSIFD.GPSAltitudeRef] === 1 ? -1 : 1) * (alt[0] / alt[1])
+        : null,
+  };
+};
+
+// XMP exif:GPSLatitude/GPSLongitude text: "DDD,MM.mmmmK"
+export const xmpCoordinate = (deg, axis) => {
+  const abs = Math.abs(deg);
+  const d = Math.floor(abs);
+  return `${d},${((abs - d) * 60).toFixed(4)}${ref(deg, axis)}`;
+};
+
+// Short display form for previews: "44.812500, 20.461200, 117 m"
+export const formatGps = (gps) => {
+  if (!gps || gps.latitude == null) return "";
+  const pos = `${gps.latitude.toFixed(6)}, ${gps.longitude.toFixed(6)}`;
+  return gps.altitude != null ? `${pos}, ${gps.altitude} m` : pos;
+};
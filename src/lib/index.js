@@ -0,0 +1,23 @@
+// Browser- and Node-compatible metadata engine working on Uint8Array image bytes
+export * from "./bytes.js";
+export * from "./dates.js";
+export * from "./exif.js";
+export * from "./filename.js";
+export * from "./formats.js";
+export * from "./gps.js";
+export * from "./iptc.js";
+export * from "./keywords.js";
+export * from "./match.js";
+export * from "./metadata.js";
+export * from "./png.js";
+export * from "./preflight.js";
+export * from "./report.js";
+export * from "./sheet.js";
+export * from "./sidecar.js";
+export * from "./strip.js";
+export * from "./targets.js";
+export * from "./text.js";
+export * from "./tiff.js";
+export * from "./webp.js";
+export * from "./xmp.js";
+export * from "./wordpress.js";
@@ -0,0 +1,450 @@
+import { concatBytes, md5Hex, utf8 } from "./bytes.js";
+import { METADATA_TARGETS } from "./targets.js";
+import { splitList } from "./text.js";
+
+const PHOTOSHOP_HEADER = "Photoshop 3.0\0";
+
+// Resource bytes per APP13 segment: 65535 - 2 length bytes - 14 byte header
+const MAX_APP13_CHUNK = 65519;
+
+// Record 2 datasets holding binary data rather than text
+const IIM_BINARY_DATASETS = new Set([0, 125, 200, 201, 202]);
+
+// Concatenate the resource streams of all Photoshop APP13 segments; Photoshop
+// splits streams larger than one segment across several consecutive APP13s
+const readPhotoshopStream = (jpegBytes) => {
+  if (!(jpegBytes[0] === 0xff && jpegBytes[1] === 0xd8)) return null;
+  const header = utf8(PHOTOSHOP_HEADER);
+  const chunks = [];
+  let offset = 2;
+  while (offset + 4 <= jpegBytes.length) {
+    if (jpegBytes[offset] !== 0xff) break;
+    const type = jpegBytes[offset + 1];
+    if (type === 0xda) break; // SOS
+    if (type === 0xd8 || type === 0xd9) {
+      offset += 2;
+      continue;
+    }
+    const len = (jpegBytes[offset + 2] << 8) | jpegBytes[offset + 3];
+    if (type === 0xed) {
+      let isPhotoshop = true;
+      for (let i = 0; i < header.length; i++) {
+        if (jpegBytes[offset + 4 + i] !== header[i]) {
+          isPhotoshop = false;
+          break;
+        }
+      }
+      if (isPhotoshop) {
+        chunks.push(
+          jpegBytes.slice(offset + 4 + header.length, offset + 2 + len)
+        );
+      }
+    }
+    offset += 2 + len;
+  }
+  return chunks.length ? concatBytes(chunks) : null;
+};
+
+// Parse an 8BIM resource stream into [{id, name, data}]
+const parsePhotoshopResources = (stream) => {
+  const resources = [];
+  let p = 0;
+  while (p + 12 <= stream.length) {
+    if (
+      stream[p] !== 0x38 ||
+      stream[p + 1] !== 0x42 ||
+      stream[p + 2] !== 0x49 ||
+      stream[p + 3] !== 0x4d
+    )
+      break;
+    const id = (stream[p + 4] << 8) | stream[p + 5];
+    // Pascal string name, padded so its total length is even
+    const nameLen = stream[p + 6];
+    const name = stream.slice(p + 7, p + 7 + nameLen);
+    p += 6 + nameLen + 1;
+    if ((nameLen + 1) % 2 === 1) p += 1;
+    const size =
+      ((stream[p] << 24) >>> 0) +
+      (stream[p + 1] << 16) +
+      (stream[p + 2] << 8) +
+      stream[p + 3];
+    p += 4;
+    resources.push({ id, name, data: stream.slice(p, p + size) });
+    p += size + (size % 2);
+  }
+  return resources;
+};
+
+// Serialize one 8BIM resource block
+const serializePhotoshopResource = ({ id, name, data }) => {
+  const namePad = (name.length + 1) % 2 === 1 ? 1 : 0;
+  const dataPad = data.length % 2;
+  const block = new Uint8Array(
+    4 + 2 + 1 + name.length + namePad + 4 + data.length + dataPad
+  );
+  let p = 0;
+  block.set(utf8("8BIM"), p);
+  p += 4;
+  block[p++] = (id >> 8) & 0xff;
+  block[p++] = id & 0xff;
+  block[p++] = name.length;
+  block.set(name, p);
+  p += name.length + namePad;
+  // Size (big-endian)
+  block[p++] = (data.length >>> 24) & 0xff;
+  block[p++] = (data.length >> 16) & 0xff;
+  block[p++] = (data.length >> 8) & 0xff;
+  block[p++] = data.length & 0xff;
+  block.set(data, p);
+  return block;
+};
+
+// Wrap resources into APP13 segments, starting a new segment at resource
+// boundaries and splitting only resources that exceed one segment on their own
+const buildApp13Segments = (resources) => {
+  const header = utf8(PHOTOSHOP_HEADER);
+  const chunks = [];
+  let current = [];
+  let size = 0;
+  for (const block of resources.map(serializePhotoshopResource)) {
+    if (size && size + block.length > MAX_APP13_CHUNK) {
+      chunks.push(concatBytes(current));
+      current = [];
+      size = 0;
+    }
+    if (block.length > MAX_APP13_CHUNK) {
+      for (let off = 0; off < block.length; off += MAX_APP13_CHUNK) {
+        chunks.push(block.subarray(off, off + MAX_APP13_CHUNK));
+      }
+      continue;
+    }
+    current.push(block);
+    size += block.length;
+  }
+  if (size) chunks.push(concatBytes(current));
+
+  return concatBytes(
+    chunks.map((chunk) => {
+      const length = 2 + header.length + chunk.length;
+      const seg = new Uint8Array(2 + length);
+      seg[0] = 0xff;
+      seg[1] = 0xed; // APP13
+      seg[2] = (length >> 8) & 0xff;
+      seg[3] = length & 0xff;
+      seg.set(header, 4);
+      seg.set(chunk, 4 + header.length);
+      return seg;
+    })
+  );
+};
+
+// Parse IPTC IIM datasets into [{record, dataset, data}]
+const parseIimDatasets = (bytes) => {
+  const datasets = [];
+  let p = 0;
+  while (p + 5 <= bytes.length && bytes[p] === 0x1c) {
+    const record = bytes[p + 1];
+    const dataset = bytes[p + 2];
+    let len = (bytes[p + 3] << 8) | bytes[p + 4];
+    p += 5;
+    // Extended dataset: high bit set, low bits give the length of the length field
+    if (len & 0x8000) {
+      const lenBytes = len & 0x7fff;
+      len = 0;
+      for (let i = 0; i < lenBytes; i++) len = len * 256 + bytes[p + i];
+      p += lenBytes;
+    }
+    datasets.push({ record, dataset, data: bytes.slice(p, p + len) });
+    p += len;
+  }
+  return datasets;
+};
+
+// CodedCharacterSet 1:090 = ESC % G means the text datasets are UTF-8
+const iimIsUtf8 = (datasets) => {
+  const charset = datasets.find((d) => d.record === 1 && d.dataset === 90);
+  return (
+    !!charset &&
+    charset.data.length === 3 &&
+    charset.data[0] === 0x1b &&
+    charset.data[1] === 0x25 &&
+    charset.data[2] === 0x47
+  );
+};
+
+// Serialize IIM datasets; data over 32767 bytes uses the extended length form
+const serializeIimDatasets = (datasets) =>
+  concatBytes(
+    datasets.map(({ record, dataset, data }) => {
+      const extended = data.length > 0x7fff;
+      const head = extended
+        ? [0x1c, record, dataset, 0x80, 0x04]
+        : [
+            0x1c,
+            record,
+            dataset,
+            (data.length >> 8) & 0xff,
+            data.length & 0xff,
+          ];
+      if (extended) {
+        head.push(
+          (data.length >>> 24) & 0xff,
+          (data.length >> 16) & 0xff,
+          (data.length >> 8) & 0xff,
+          data.length & 0xff
+        );
+      }
+      const out = new Uint8Array(head.length + data.length);
+      out.set(head, 0);
+      out.set(data, head.length);
+      return out;
+    })
+  );
+
+// Record 2 datasets written from a row: 2:005/2:120/2:025 always, plus mapped
+// datasets ([{target, value}]) that have a value. Returns the datasets and the
+// dataset numbers they replace.
+const buildIptcDatasets = (title, caption, keywordsArr, extras = []) => {
+  const kws = (keywordsArr || []).filter(Boolean);
+  const enc = (s) => utf8(s || "");
+  const managed = new Set([5, 120, 25]);
+  const datasets = [];
+  const push = (dataset, value) =>
+    datasets.push({ record: 2, dataset, data: enc(value) });
+  // Title (ObjectName)
+  if (title) push(5, title);
+  // Caption/Abstract (WordPress reads this into the Caption field)
+  if (caption) push(120, caption);
+  // Keywords: one record per keyword
+  for (const k of kws) push(25, k);
+  // Mapped datasets; repeatable ones take semicolon-separated values
+  for (const { target, value } of extras) {
+    if (target.kind !== "iptc" || !value) continue;
+    managed.add(target.dataset);
+    const values = target.repeatable ? splitList(value) : [value];
+    for (const v of values) push(target.dataset, v);
+  }
+  return { datasets, managed };
+};
+
+// IIM block with the managed datasets replaced; every other dataset of the
+// existing block (byline, credit, city...) is kept
+export const buildIptcIim = (
+  existingIim,
+  title,
+  caption,
+  keywordsArr,
+  extras = []
+) => {
+  let existing = existingIim ? parseIimDatasets(existingIim) : [];
+  // The block is written as UTF-8, so re-encode kept Latin-1 text datasets
+  if (!iimIsUtf8(existing)) {
+    const latin1 = new TextDecoder("latin1");
+    existing = existing.map((d) =>
+      d.record === 2 && !IIM_BINARY_DATASETS.has(d.dataset)
+        ? { ...d, data: utf8(latin1.decode(d.data)) }
+        : d
+    );
+  }
+  const { datasets, managed } = buildIptcDatasets(
+    title,
+    caption,
+    keywordsArr,
+    extras
+  );
+  const kept = existing.filter(
+    (d) =>
+      !(d.record === 1 && d.dataset === 90) &&
+      !(d.record === 2 && (d.dataset === 0 || managed.has(d.dataset)))
+  );
+  const all = [
+    // Envelope: CodedCharacterSet to UTF-8
+    { record: 1, dataset: 90, data: utf8("\u001B%G") },
+    // Application: RecordVersion = 4
+    { record: 2, dataset: 0, data: new Uint8Array([0x00, 0x04]) },
+    ...kept,
+    ...datasets,
+  ];
+  // IIM readers expect ascending record/dataset order; the sort is stable so
+  // repeated datasets (keywords) keep their order
+  all.sort((a, b) => a.record - b.record || a.dataset - b.dataset);
+  return serializeIimDatasets(all);
+};
+
+// Store an IIM block as the IPTC resource (0x0404) of parsed Photoshop
+// resources, keeping the IPTC digest in sync so Photoshop does not flag the
+// IIM as stale
+const setIptcResource = (resources, iim) => {
+  const iptcRes = resources.find((r) => r.id === 0x0404);
+  if (iptcRes) iptcRes.data = iim;
+  else resources.push({ id: 0x0404, name: new Uint8Array(0), data: iim });
+  const digest = resources.find((r) => r.id === 0x0425);
+  if (digest) {
+    const hex = md5Hex(iim);
+    digest.data = new Uint8Array(16).map((_, i) =>
+      parseInt(hex.slice(i * 2, i * 2 + 2), 16)
+    );
+  }
+};
+
+// Build APP13 segments from the file's existing Photoshop resources with the IPTC
+// block updated: managed datasets are replaced, every other IIM dataset and 8BIM
+// resource (resolution info, thumbnails, clipping paths...) is kept.
+export const buildIptcSegments = (
+  jpegBytes,
+  title,
+  caption,
+  keywordsArr,
+  extras = []
+) => {
+  const stream = readPhotoshopStream(jpegBytes);
+  const resources = stream ? parsePhotoshopResources(stream) : [];
+  const existingIim = resources.find((r) => r.id === 0x0404)?.data;
+  setIptcResource(
+    resources,
+    buildIptcIim(existingIim, title, caption, keywordsArr, extras)
+  );
+  return buildApp13Segments(resources);
+};
+
+// A Photoshop resource block (TIFF tag 34377) with its IPTC resource
+// replaced; blocks without one are returned as they are
+export const withIptcResource = (stream, iim) => {
+  const resources = parsePhotoshopResources(stream);
+  if (!resources.some((r) => r.id === 0x0404)) return stream;
+  setIptcResource(resources, iim);
+  return concatBytes(resources.map(serializePhotoshopResource));
+};
+
+// Insert APP13 IPTC after last APP segment and before SOS
+export const insertIptcIntoJpeg = (jpegBytes, iptcSeg) => {
+  if (!(jpegBytes[0] === 0xff && jpegBytes[1] === 0xd8)) return jpegBytes;
+  let offset = 2;
+  let insertPos = offset;
+  while (offset + 4 <= jpegBytes.length) {
+    if (jpegBytes[offset] !== 0xff) break;
+    const type = jpegBytes[offset + 1];
+    if (type === 0xda) break; // SOS
+    if (type === 0xd8 || type === 0xd9) {
+      offset += 2;
+      continue;
+    }
+    const len = (jpegBytes[offset + 2] << 8) | jpegBytes[offset + 3];
+    // Keep moving insert position to end of last APPn
+    if (type >= 0xe0 && type <= 0xef) insertPos = offset + 2 + len;
+    offset += 2 + len;
+  }
+  const out = new Uint8Array(jpegBytes.length + iptcSeg.length);
+  out.set(jpegBytes.slice(0, insertPos), 0);
+  out.set(iptcSeg, insertPos);
+  out.set(jpegBytes.slice(insertPos), insertPos + iptcSeg.length);
+  return out;
+};
+
+// Remove existing Photoshop APP13 segments (8BIM with IPTC) to avoid duplicates
+export const removePhotoshopApp13Segments = (jpegBytes) => {
+  if (!(jpegBytes[0] === 0xff && jpegBytes[1] === 0xd8)) return jpegBytes;
+  const header = utf8("Photoshop 3.0\0");
+  const parts = [];
+  // Keep SOI
+  parts.push(jpegBytes.slice(0, 2));
+  let offset = 2;
+  while (offset + 4 <= jpegBytes.length) {
+    if (jpegBytes[offset] !== 0xff) break;
+    const type = jpegBytes[offset + 1];
+    const len = (jpegBytes[offset + 2] << 8) | jpegBytes[offset + 3];
+    const segEnd = offset + 2 + len;
+    if (type === 0xda) {
+      // Copy the rest (SOS and image data) and stop
+      parts.push(jpegBytes.slice(offset));
+      offset = jpegBytes.length;
+      break;
+    }
+    if (type === 0xed) {
+      // APP13: check for Photoshop header
+      let isPhotoshop = true;
+      for (let i = 0; i < header.length; i++) {
+        if (
+          offset + 4 + i >= jpegBytes.length ||
+          jpegBytes[offset + 4 + i] !== header[i]
+        ) {
+          isPhotoshop = false;
+          break;
+        }
+      }
+      if (!isPhotoshop) {
+        parts.push(jpegBytes.slice(offset, segEnd));
+      }
+      // If Photoshop, skip this APP13 entirely (remove existing IPTC)
+    } else {
+      parts.push(jpegBytes.slice(offset, segEnd));
+    }
+    offset = segEnd;
+  }
+  if (offset < jpegBytes.length) parts.push(jpegBytes.slice(offset));
+
+  // Concatenate kept parts
+  let total = 0;
+  for (const p of parts) total += p.length;
+  const out = new Uint8Array(total);
+  let pos = 0;
+  for (const p of parts) {
+    out.set(p, pos);
+    pos += p.length;
+  }
+  return out;
+};
+
+// Drop the Photoshop resources with the given ids and rebuild APP13 from the
+// rest. Returns { bytes, removed } with the ids that were present.
+export const removePhotoshopResources = (jpegBytes, ids) => {
+  const stream = readPhotoshopStream(jpegBytes);
+  const resources = stream ? parsePhotoshopResources(stream) : [];
+  const removed = resources.filter((r) => ids.includes(r.id)).map((r) => r.id);
+  if (!removed.length) return { bytes: jpegBytes, removed };
+  const kept = resources.filter((r) => !ids.includes(r.id));
+  const bytes = removePhotoshopApp13Segments(jpegBytes);
+  return {
+    bytes: kept.length
+      ? insertIptcIntoJpeg(bytes, buildApp13Segments(kept))
+      : bytes,
+    removed,
+  };
+};
+
+// Read IPTC 2:005/2:120/2:025 and mapped datasets from an IIM block
+export const readIptcIim = (iim) => {
+  const datasets = parseIimDatasets(iim);
+  // Text is UTF-8 when CodedCharacterSet says so; otherwise treat as Latin-1
+  const decoder = new TextDecoder(iimIsUtf8(datasets) ? "utf-8" : "latin1");
+  const text = (ds) => {
+    const d = datasets.find((x) => x.record === 2 && x.dataset === ds);
+    return d ? decoder.decode(d.data) : "";
+  };
+  const targets = {};
+  for (const t of METADATA_TARGETS) {
+    if (t.kind !== "iptc") continue;
+    targets[t.id] = datasets
+      .filter((d) => d.record === 2 && d.dataset === t.dataset)
+      .map((d) => decoder.decode(d.data))
+      .join("; ");
+  }
+  return {
+    targets,
+    title: text(5),
+    caption: text(120),
+    keywords: datasets
+      .filter((d) => d.record === 2 && d.dataset === 25)
+      .map((d) => decoder.decode(d.data)),
+  };
+};
+
+// Read the IPTC fields from Photoshop APP13 (8BIM #0x0404) segments
+export const readIptcFields = (jpegBytes) => {
+  const stream = readPhotoshopStream(jpegBytes);
+  if (!stream) return null;
+  const iim = parsePhotoshopResources(stream).find(
+    (r) => r.id === 0x0404
+  )?.data;
+  return iim ? readIptcIim(iim) : null;
+};
@@ -0,0 +1,120 @@
+// Keywords cells hold terms separated by commas or semicolons; a term may be
+// a hierarchy written "Animals|Birds|Owl". Flat lists (dc:subject, IPTC
+// 2:025, XPKeywords) get every level of a hierarchy, lr:hierarchicalSubject
+// gets the full paths.
+
+const HIERARCHY_SEPARATOR = "|";
+
+// Case- and spacing-insensitive key used for duplicates and lookups
+const termKey = (s) => s.trim().replace(/\s+/g, " ").toLowerCase();
+
+const pathKey = (path) => path.map(termKey).join(HIERARCHY_SEPARATOR);
+
+// "Animals | Birds|Owl" -> ["Animals", "Birds", "Owl"]
+const splitPath = (term) =>
+  term
+    .split(HIERARCHY_SEPARATOR)
+    .map((s) => s.trim())
+    .filter(Boolean);
+
+// Terms of a Keywords cell, each as a path of one or more levels
+export const splitKeywords = (text) =>
+  (text ?? "")
+    .toString()
+    .split(/[,;]/)
+    .map(splitPath)
+    .filter((path) => path.length);
+
+const VOCABULARY_COLUMNS = {
+  keyword: ["keyword", "keywords", "term", "preferred term"],
+  synonyms: ["synonyms", "synonym", "variants", "alternates"],
+};
+
+const vocabularyColumn = (row, names) => {
+  const key = Object.keys(row).find((k) => names.includes(termKey(k)));
+  return key === undefined ? "" : (row[key] ?? "").toString();
+};
+
+// Build a controlled vocabulary from sheet rows with a Keyword column (a term
+// or a "Parent|Child" path) and an optional Synonyms column (variants
+// separated by commas or semicolons). Every level of a path is a known term,
+// and a term can be looked up by its full path, its own name or a synonym;
+// when two entries claim the same name the first one wins.
+// Returns { size, terms: Map(key -> path) }.
+export const buildVocabulary = (rows) => {
+  if (!rows.some((r) => vocabularyColumn(r, VOCABULARY_COLUMNS.keyword))) {
+    throw new Error("Vocabulary needs a Keyword column.");
+  }
+  const terms = new Map();
+  const add = (key, path) => {
+    if (key && !terms.has(key)) terms.set(key, path);
+  };
+  let size = 0;
+  for (const row of rows) {
+    const path = splitPath(vocabularyColumn(row, VOCABULARY_COLUMNS.keyword));
+    if (!path.length) continue;
+    size++;
+    for (let i = 1; i <= path.length; i++) {
+      const level = path.slice(0, i);
+      add(pathKey(level), level);
+      add(termKey(level[i - 1]), level);
+    }
+    for (const synonym of splitKeywords(
+      vocabularyColumn(row, VOCABULARY_COLUMNS.synonyms)
+    )) {
+      add(pathKey(synonym), path);
+    }
+  }
+  return { size, terms };
+};
+
+// Preferred path of a term: the full path, then its last level; null when
+// the vocabulary doesn't know it
+const lookupTerm = (vocabulary, path) =>
+  vocabulary.terms.get(pathKey(path)) ||
+  vocabulary.terms.get(termKey(path[path.length - 1])) ||
+  null;
+
+// Resolve a Keywords cell into the lists that are written:
+// { kwList, hierarchy, unknown }. kwList is every level of every term,
+// hierarchy the "A|B|C" paths with more than one level, and unknown the terms
+// the vocabulary doesn't list (kept as typed). Duplicates are dropped
+// case-insensitively, keeping the first spelling.
+export const resolveKeywords = (text, vocabulary = null) => {
+  const kwList = [];
+  const hierarchy = [];
+  const unknown = [];
+  const seen = new Set();
+  const seenPaths = new Set();
+  const seenUnknown = new Set();
+  for (const typed of splitKeywords(text)) {
+    let path = typed;
+    if (vocabulary) {
+      const known = lookupTerm(vocabulary, typed);
+      if (known) path = known;
+      else if (!seenUnknown.has(pathKey(typed))) {
+        seenUnknown.add(pathKey(typed));
+        unknown.push(typed.join(HIERARCHY_SEPARATOR));
+      }
+    }
+    for (const level of path) {
+      if (seen.has(termKey(level))) continue;
+      seen.add(termKey(level));
+      kwList.push(level);
+    }
+    if (path.length > 1 && !seenPaths.has(pathKey(path))) {
+      seenPaths.add(pathKey(path));
+      hierarchy.push(path.join(HIERARCHY_SEPARATOR));
+    }
+  }
+  return { kwList, hierarchy, unknown };
+};
+
+// Keywords cell for a file's current keywords: its hierarchical paths, then
+// the flat keywords no path already covers
+export const keywordsCell = (flat = [], hierarchy = []) => {
+  const covered = new Set(hierarchy.flatMap(splitPath).map(termKey));
+  return [...hierarchy, ...flat.filter((k) => !covered.has(termKey(k)))].join(
+    ", "
+  );
+};
@@ -0,0 +1,139 @@
+import { getField, setField, withEdits } from "./sheet.js";
+import { transliterate } from "./text.js";
+
+// Matching strategies; all off reproduces plain case-insensitive matching
+export const MATCH_DEFAULTS = {
+  ignoreExtension: false,
+  foldDiacritics: false,
+  normalizeSeparators: false,
+  patterns: false,
+};
+
+// Key a file name is compared by under the selected strategies. Diacritics
+// are folded with the transliteration profile output names use (Serbian
+// when none is given), so both read the same letters the same way.
+export const matchKey = (name, options = MATCH_DEFAULTS, transliteration) => {
+  let key = (name ?? "").toString().trim();
+  if (options.foldDiacritics) {
+    key = transliterate(key, transliteration)
+      .normalize("NFD")
+      .replace(/[\u0300-\u036f]/g, "");
+  }
+  key = key.toLowerCase();
+  if (options.ignoreExtension) key = key.replace(/\.[a-z0-9]{1,5}$/, "");
+  if (options.normalizeSeparators) {
+    key = key.replace(/[\s_\-\u2010-\u2015\u2212]+/g, "-");
+  }
+  return key;
+};
+
+const REGEX_ROW = /^\/(.+)\/([a-z]*)$/;
+
+// Compile a pattern row's source cell: /regex/flags is tested against the raw
+// file name, a wildcard (* and ?) against the normalized key
+const compilePattern = (source, options, transliteration) => {
+  const regex = source.match(REGEX_ROW);
+  if (regex) {
+    // g and y would make test() carry lastIndex from one file to the next
+    const re = new RegExp(regex[1], regex[2].replace(/[gy]/g, ""));
+    return (fileName) => re.test(fileName);
+  }
+  const body = matchKey(source, options, transliteration)
+    .split("")
+    .map((c) => {
+      if (c === "*") return ".*";
+      if (c === "?") return ".";
+      return c.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+    })
+    .join("");
+  const re = new RegExp(`^${body}$`);
+  return (fileName) => re.test(matchKey(fileName, options, transliteration));
+};
+
+const isPattern = (source) => REGEX_ROW.test(source) || /[*?]/.test(source);
+
+// 1-based sheet row number; SheetJS records the source row on each object
+export const sheetRowNumber = (row, index) =>
+  row.__rowNum__ !== undefined ? row.__rowNum__ + 1 : index + 2;
+
+// Copy non-empty cells over the accumulated row so later rows override
+const overlayRow = (target, row) => {
+  for (const [k, v] of Object.entries(row)) {
+    if (v !== "" && v != null) target[k] = v;
+    else if (!(k in target)) target[k] = v;
+  }
+  return target;
+};
+
+// Index sheet rows for lookup by image file name. Exact rows are keyed by
+// matchKey; with options.patterns, rows whose source is a wildcard or
+// /regex/ apply to every image they match. match() merges the pattern rows
+// in sheet order and then the exact row, so row-specific cells win.
+// `transliteration` is the profile diacritics are folded with.
+export const buildMatcher = (
+  rows,
+  mappings,
+  options = MATCH_DEFAULTS,
+  transliteration
+) => {
+  const exact = new Map();
+  const patterns = [];
+  rows.forEach((row, index) => {
+    const source = (getField(row, "Source file name", mappings) || "")
+      .toString()
+      .trim();
+    if (!source) return;
+    const entry = { row, source, number: sheetRowNumber(row, index) };
+    if (options.patterns && isPattern(source)) {
+      try {
+        entry.test = compilePattern(source, options, transliteration);
+      } catch (err) {
+        entry.error = err?.message || "Invalid pattern.";
+        entry.test = () => false;
+      }
+      patterns.push(entry);
+      return;
+    }
+    const key = matchKey(source, options, transliteration);
+    if (!exact.has(key)) exact.set(key, []);
+    exact.get(key).push(entry);
+  });
+
+  const match = (fileName) => {
+    const entries = patterns.filter((p) => p.test(fileName));
+    const own = exact.get(matchKey(fileName, options, transliteration));
+    // With duplicate exact rows the last one is used
+    if (own) entries.push(own[own.length - 1]);
+    if (!entries.length) return null;
+    if (entries.length === 1) return { row: entries[0].row, entries };
+    return { row: entries.reduce((m, e) => overlayRow(m, e.row), {}), entries };
+  };
+
+  return { exact, patterns, match };
+};
+
+// Sheet rows with per-image edits ({fileName: {field: value}}) written back.
+// An image's edits go to its own exact row; an image matched only by pattern
+// rows gets a new row of its own, which then overrides the patterns.
+export const editedSheetRows = (rows, matcher, edits, mappings) => {
+  const byRow = new Map();
+  const added = [];
+  for (const [fileName, fields] of Object.entries(edits)) {
+    const matched = matcher.match(fileName);
+    if (!matched) continue;
+    const own = matched.entries.find((e) => !e.test);
+    if (own) {
+      byRow.set(own.row, { ...byRow.get(own.row), ...fields });
+    } else {
+      // Blank cells under the sheet's own headers, so only the edits override
+      const blank = Object.fromEntries(
+        Object.keys(matched.row).map((k) => [k, ""])
+      );
+      const row = setField(blank, "Source file name", fileName, mappings);
+      added.push(withEdits(row, fields, mappings));
+    }
+  }
+  return rows
+    .map((r) => (byRow.has(r) ? withEdits(r, byRow.get(r), mappings) : r))
+    .concat(added);
+};
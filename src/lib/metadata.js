@@ -0,0 +1,334 @@
+import { utf8 } from "./bytes.js";
+import {
+  buildExifTiff,
+  exifTagChanges,
+  exifTargetText,
+  readExifFields,
+  readExifTiff,
+  writeExifFields,
+} from "./exif.js";
+import {
+  exifDateTime,
+  parseDateTaken,
+  parseIptcDateTime,
+  shiftDate,
+} from "./dates.js";
+import { IMAGE_FORMATS, imageFormat } from "./formats.js";
+import { formatGps } from "./gps.js";
+import {
+  buildIptcIim,
+  buildIptcSegments,
+  insertIptcIntoJpeg,
+  readIptcFields,
+  readIptcIim,
+  removePhotoshopApp13Segments,
+  withIptcResource,
+} from "./iptc.js";
+import { readPngMetadata, writePngMetadata } from "./png.js";
+import { mappedTargetValues, withDateTaken } from "./sheet.js";
+import {
+  readTiffMetadata,
+  TIFF_IPTC_TAG,
+  TIFF_PHOTOSHOP_TAG,
+  TIFF_XMP_TAG,
+  writeTiffTags,
+} from "./tiff.js";
+import { sameListText } from "./text.js";
+import { readWebpMetadata, writeWebpMetadata } from "./webp.js";
+import {
+  buildXmpPacket,
+  buildXmpSegments,
+  buildXmpXml,
+  insertXmpIntoJpeg,
+  readXmpFields,
+  readXmpPacket,
+  removeXmpExtensionSegments,
+} from "./xmp.js";
+
+// EXIF (TIFF-structured), XMP packet and IPTC IIM block of a PNG, WebP or
+// TIFF file; a TIFF's own IFDs are its EXIF
+const containerMetadata = (bytes, format) => {
+  if (format === "png") return { ...readPngMetadata(bytes), iptc: null };
+  if (format === "webp") return { ...readWebpMetadata(bytes), iptc: null };
+  return { exif: bytes, ...readTiffMetadata(bytes) };
+};
+
+const UNSUPPORTED_FORMAT = "Only JPEG, PNG, WebP and TIFF are supported.";
+
+// Read EXIF/XMP/IPTC values currently stored in image bytes
+export const readMetadata = (bytes) => {
+  const format = imageFormat(bytes);
+  if (!format) throw new Error(UNSUPPORTED_FORMAT);
+  let exif;
+  let xmp;
+  let iptc;
+  if (format === "jpeg") {
+    exif = readExifFields(bytes);
+    xmp = readXmpFields(bytes);
+    iptc = readIptcFields(bytes);
+  } else {
+    const found = containerMetadata(bytes, format);
+    exif = found.exif ? readExifTiff(found.exif) : null;
+    xmp = found.xmp ? readXmpPacket(found.xmp) : null;
+    iptc = found.iptc ? readIptcIim(found.iptc) : null;
+  }
+  return {
+    format,
+    exif,
+    xmp,
+    iptc,
+    // Current values of every mapped target, keyed by target id
+    targets: { ...exif?.targets, ...xmp?.targets, ...iptc?.targets },
+  };
+};
+
+// Capture date a file already carries: EXIF DateTimeOriginal, then XMP
+// photoshop:DateCreated or xmp:CreateDate, then IPTC 2:055/2:060
+const existingDateTaken = (existing) => {
+  if (existing?.exif?.dateTaken) return existing.exif.dateTaken;
+  const targets = existing?.targets || {};
+  for (const id of ["xmp:photoshop:DateCreated", "xmp:xmp:CreateDate"]) {
+    try {
+      const date = parseDateTaken(targets[id]);
+      if (date) return date;
+    } catch {
+      // Not a date we can read; try the next source
+    }
+  }
+  return parseIptcDateTime(targets["iptc:2:055"], targets["iptc:2:060"]);
+};
+
+// Values with the batch date shift (in seconds) applied: a row without a
+// Date taken gets the file's own capture date moved by the shift
+export const shiftedValues = (values, existing, dateShift) => {
+  if (!dateShift || !values || values.date) return values;
+  const date = existingDateTaken(existing);
+  return date ? withDateTaken(values, shiftDate(date, dateShift)) : values;
+};
+
+// Diff rows for the language entries of an rdf:Alt besides x-default. The
+// whole alternative is rewritten, so languages the row lacks are dropped.
+const languageRows = (label, current = {}, next) => {
+  const langs = new Set([...Object.keys(current), ...Object.keys(next || {})]);
+  langs.delete("x-default");
+  return [...langs].map((lang) => [
+    `${label} [${lang}]`,
+    current[lang],
+    next && (next[lang] || ""),
+  ]);
+};
+
+// Field-by-field comparison of current file metadata with what a row would write.
+// Mirrors applyMetadata: XP* tags are only overwritten when the cell is non-empty,
+// while the built-in XMP properties and IPTC datasets always take the row's value.
+// Mapped IPTC datasets (and XMP properties in merge mode) with an empty cell keep
+// their current value. Formats without IPTC (PNG, WebP) get no IPTC rows.
+export const diffMetadata = (existing, values, mappings, mergeXmp) => {
+  const withIptc = IMAGE_FORMATS[existing?.format]?.iptc !== false;
+  const exif = existing?.exif || {};
+  const xmp = existing?.xmp || {};
+  const iptc = existing?.iptc || {};
+  const list = (arr) => (arr || []).join(", ");
+  const fields = [
+    ["EXIF XPTitle", exif.title, values && (values.title || exif.title)],
+    [
+      "EXIF XPComment",
+      exif.comment,
+      values && (values.caption || exif.comment),
+    ],
+    [
+      "EXIF XPKeywords",
+      exif.keywords,
+      values && (values.keywords || exif.keywords),
+    ],
+    ["EXIF ImageDescription", exif.description, values?.asciiDescription],
+    [
+      "EXIF DateTimeOriginal",
+      exif.dateTimeOriginal,
+      values && (exifDateTime(values.date) || exif.dateTimeOriginal),
+    ],
+    [
+      "EXIF GPS",
+      formatGps(exif.gps),
+      values && (formatGps(values.gps) || formatGps(exif.gps)),
+    ],
+    ["XMP dc:title", xmp.title, values?.titleAlt?.["x-default"]],
+    ...languageRows("XMP dc:title", xmp.titleAlt, values?.titleAlt),
+    [
+      "XMP dc:description",
+      xmp.description,
+      values?.descriptionAlt?.["x-default"],
+    ],
+    ...languageRows(
+      "XMP dc:description",
+      xmp.descriptionAlt,
+      values?.descriptionAlt
+    ),
+    ["XMP dc:subject", list(xmp.subject), values && list(values.kwList)],
+    [
+      "XMP lr:hierarchicalSubject",
+      list(xmp.hierarchicalSubject),
+      values && list(values.hierarchy),
+    ],
+    ...(withIptc
+      ? [
+          ["IPTC 2:005 ObjectName", iptc.title, values?.title],
+          ["IPTC 2:120 Caption", iptc.caption, values?.caption],
+          [
+            "IPTC 2:025 Keywords",
+            list(iptc.keywords),
+            values && list(values.kwList),
+          ],
+        ]
+      : []),
+  ];
+  const mapped = values ? values.targets : mappedTargetValues(null, mappings);
+  for (const { target, value } of mapped) {
+    if (target.kind === "iptc" && !withIptc) continue;
+    const current = existing?.targets?.[target.id] || "";
+    const keepsCurrent =
+      target.kind === "exif" ||
+      target.kind === "iptc" ||
+      (target.kind === "xmp" && mergeXmp);
+    // An unmatched image has no row, so nothing will be written
+    if (!values) {
+      fields.push([target.label, current, null]);
+      continue;
+    }
+    const next = keepsCurrent
+      ? (target.kind === "exif"
+          ? exifTargetText(target, value, values.transliteration)
+          : value) || current
+      : value;
+    fields.push([target.label, current, next]);
+  }
+  return fields.map(([label, current = "", next]) => ({
+    label,
+    current: current || "",
+    next: next ?? null,
+    changed: next != null && (current || "") !== next,
+  }));
+};
+
+// Fields of a diff keyed by label, for comparing two of them
+const diffByLabel = (diff, column) =>
+  new Map(diff.map((d) => [d.label, d[column] ?? ""]));
+
+// Re-read written image bytes and compare every field with what the row
+// meant to write, as the metadata preview worked it out from the source
+// (after strip mode, if any). Takes the writeMetadata options. Returns
+// { fields, mismatches }: fields are [{label, value}] as read back from the
+// output, mismatches [{label, expected, actual}] for each field that does
+// not read back as intended; an output that cannot be read at all is one
+// such mismatch.
+export const verifyMetadata = (
+  sourceBytes,
+  outputBytes,
+  rowValues,
+  { mergeXmp = true, dateShift = 0 } = {}
+) => {
+  const before = readMetadata(sourceBytes);
+  const values = shiftedValues(rowValues, before, dateShift);
+  let after;
+  try {
+    after = readMetadata(outputBytes);
+  } catch (err) {
+    return {
+      fields: [],
+      mismatches: [
+        { label: "Output file", expected: "readable", actual: err.message },
+      ],
+    };
+  }
+  const expected = diffByLabel(
+    diffMetadata(before, values, [], mergeXmp),
+    "next"
+  );
+  const actual = diffByLabel(
+    diffMetadata(after, values, [], mergeXmp),
+    "current"
+  );
+  const labels = [...new Set([...expected.keys(), ...actual.keys()])];
+  return {
+    fields: labels.map((label) => ({
+      label,
+      value: actual.get(label) ?? "",
+    })),
+    mismatches: labels
+      .map((label) => ({
+        label,
+        expected: expected.get(label) ?? "",
+        actual: actual.get(label) ?? "",
+      }))
+      .filter((m) => !sameListText(m.expected, m.actual)),
+  };
+};
+
+// Write a row's values into a PNG, WebP or TIFF file. PNG gets eXIf and an
+// XMP iTXt chunk, WebP its EXIF and XMP chunks, TIFF the tags of its first
+// IFD; pixel data is copied as it is.
+const writeContainerMetadata = (bytes, format, values, xmpXml, mergeXmp) => {
+  const { title, caption, kwList, targets } = values;
+  const found = containerMetadata(bytes, format);
+  const xmp = buildXmpPacket(found.xmp, xmpXml, mergeXmp);
+  if (format === "png" || format === "webp") {
+    const exif = buildExifTiff(found.exif, values);
+    return format === "png"
+      ? writePngMetadata(bytes, { exif, xmp })
+      : writeWebpMetadata(bytes, { exif, xmp });
+  }
+  const changes = exifTagChanges(bytes, values);
+  const iim = buildIptcIim(found.iptc, title, caption, kwList, targets);
+  changes["0th"][TIFF_XMP_TAG] = { type: "Byte", value: utf8(xmp) };
+  changes["0th"][TIFF_IPTC_TAG] = { type: "Undefined", value: iim };
+  // Keep the IPTC copy in Photoshop's resource block in step
+  if (found.photoshop) {
+    changes["0th"][TIFF_PHOTOSHOP_TAG] = {
+      type: "Undefined",
+      value: withIptcResource(found.photoshop, iim),
+    };
+  }
+  return writeTiffTags(bytes, changes);
+};
+
+// Write a row's values (from rowValues) into JPEG, PNG, WebP or TIFF bytes and
+// return the updated bytes in the same format.
+// Options: mergeXmp merges into the existing XMP packet instead of replacing it;
+// dateShift moves the file's capture date by that many seconds (see shiftedValues).
+export const writeMetadata = (
+  imageBytes,
+  rowValues,
+  { mergeXmp = true, dateShift = 0 } = {}
+) => {
+  const format = imageFormat(imageBytes);
+  if (!format) throw new Error(UNSUPPORTED_FORMAT);
+  if (rowValues.errors?.length) throw new Error(rowValues.errors.join(" "));
+  const values = dateShift
+    ? shiftedValues(rowValues, readMetadata(imageBytes), dateShift)
+    : rowValues;
+  const { title, caption, description, kwList, hierarchy, targets } = values;
+  const titleAlt = values.titleAlt || title;
+  const descriptionAlt = values.descriptionAlt || description;
+  // Build XMP packet for Adobe-compatible Title/Description/Keywords
+  const xmpXml = buildXmpXml(
+    titleAlt,
+    descriptionAlt,
+    kwList,
+    targets,
+    hierarchy
+  );
+  if (format !== "jpeg") {
+    return writeContainerMetadata(imageBytes, format, values, xmpXml, mergeXmp);
+  }
+  // Start from EXIF-updated JPEG bytes
+  let bytes = writeExifFields(imageBytes, values);
+  // Insert/replace XMP (merged with the existing packet in merge mode)
+  const xmpSegs = buildXmpSegments(bytes, xmpXml, mergeXmp);
+  bytes = removeXmpExtensionSegments(bytes);
+  bytes = insertXmpIntoJpeg(bytes, xmpSegs);
+  // Rebuild APP13 from the existing Photoshop resources (Caption via 2:120),
+  // then swap it in for the old segments
+  const iptcSegs = buildIptcSegments(bytes, title, caption, kwList, targets);
+  bytes = removePhotoshopApp13Segments(bytes);
+  return insertIptcIntoJpeg(bytes, iptcSegs);
+};
@@ -0,0 +1,118 @@
+import { concatBytes, crc32, utf8 } from "./bytes.js";
+
+const PNG_SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+
+// iTXt keyword the XMP specification reserves for the packet
+const XMP_KEYWORD = "XML:com.adobe.xmp";
+
+// PNG files start with the 8-byte signature
+export const isPng = (bytes) =>
+  bytes.length >= 8 && PNG_SIGNATURE.every((b, i) => bytes[i] === b);
+
+const chunkType = (bytes, offset) =>
+  String.fromCharCode(...bytes.subarray(offset, offset + 4));
+
+// Split a PNG into [{type, data, bytes}], where bytes is the whole chunk
+// (length, type, data and CRC)
+export const readPngChunks = (pngBytes) => {
+  const view = new DataView(pngBytes.buffer, pngBytes.byteOffset);
+  const chunks = [];
+  let offset = 8;
+  while (offset + 12 <= pngBytes.length) {
+    const length = view.getUint32(offset);
+    const end = offset + 12 + length;
+    chunks.push({
+      type: chunkType(pngBytes, offset + 4),
+      data: pngBytes.subarray(offset + 8, offset + 8 + length),
+      bytes: pngBytes.subarray(offset, end),
+    });
+    offset = end;
+  }
+  return chunks;
+};
+
+// Serialize one chunk; the CRC covers the type and data
+const buildChunk = (type, data) => {
+  const chunk = new Uint8Array(12 + data.length);
+  const view = new DataView(chunk.buffer);
+  view.setUint32(0, data.length);
+  chunk.set(utf8(type), 4);
+  chunk.set(data, 8);
+  view.setUint32(8 + data.length, crc32(chunk.subarray(4, 8 + data.length)));
+  return chunk;
+};
+
+// Remove the chunks for which test(chunk) is true; returns { bytes, count }
+export const removePngChunks = (pngBytes, test) => {
+  const chunks = readPngChunks(pngBytes);
+  const kept = chunks.filter((c) => !test(c));
+  if (kept.length === chunks.length) return { bytes: pngBytes, count: 0 };
+  return {
+    bytes: concatBytes([pngBytes.subarray(0, 8), ...kept.map((c) => c.bytes)]),
+    count: chunks.length - kept.length,
+  };
+};
+
+// Text of an uncompressed iTXt chunk with the given keyword, or null.
+// iTXt: keyword\0, compression flag, method, language\0, translated keyword\0, text
+const readItxt = (data, keyword) => {
+  const nul = data.indexOf(0);
+  if (nul < 0 || new TextDecoder().decode(data.subarray(0, nul)) !== keyword) {
+    return null;
+  }
+  // Compressed text would need an inflater (the XMP specification asks
+  // writers not to compress the packet). The file fails rather than have a
+  // packet that was never read replaced or dropped.
+  if (data[nul + 1] !== 0) {
+    throw new Error(
+      "The PNG's XMP packet is compressed, which is not supported; save the file with uncompressed XMP first."
+    );
+  }
+  const langEnd = data.indexOf(0, nul + 3);
+  const keywordEnd = data.indexOf(0, langEnd + 1);
+  if (langEnd < 0 || keywordEnd < 0) return null;
+  return new TextDecoder().decode(data.subarray(keywordEnd + 1));
+};
+
+const isXmpChunk = (chunk) =>
+  chunk.type === "iTXt" &&
+  new TextDecoder().decode(chunk.data.subarray(0, XMP_KEYWORD.length + 1)) ===
+    `${XMP_KEYWORD}\0`;
+
+// EXIF (eXIf chunk, TIFF-structured) and the XMP packet (iTXt) of a PNG
+export const readPngMetadata = (pngBytes) => {
+  const chunks = readPngChunks(pngBytes);
+  const exif = chunks.find((c) => c.type === "eXIf");
+  const xmp = chunks.find(isXmpChunk);
+  return {
+    exif: exif ? exif.data : null,
+    xmp: xmp ? readItxt(xmp.data, XMP_KEYWORD) : null,
+  };
+};
+
+// Replace a PNG's eXIf chunk and XMP iTXt chunk; both go before the first
+// IDAT, and every other chunk (pixel data included) is copied unchanged.
+// A null value removes the chunk.
+export const writePngMetadata = (pngBytes, { exif, xmp }) => {
+  const chunks = readPngChunks(pngBytes).filter(
+    (c) => c.type !== "eXIf" && !isXmpChunk(c)
+  );
+  const added = [];
+  if (exif) added.push(buildChunk("eXIf", exif));
+  if (xmp) {
+    added.push(
+      buildChunk(
+        "iTXt",
+        concatBytes([utf8(`${XMP_KEYWORD}\0\0\0\0\0`), utf8(xmp)])
+      )
+    );
+  }
+  let at = chunks.findIndex((c) => c.type === "IDAT");
+  if (at < 0) at = chunks.length - 1; // before IEND
+  return concatBytes([
+    pngBytes.subarray(0, 8),
+    ...chunks.slice(0, at).map((c) => c.bytes),
+    ...added,
+    ...chunks.slice(at).map((c) => c.bytes),
+  ]);
+};
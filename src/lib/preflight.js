@@ -0,0 +1,236 @@
+import { utf8 } from "./bytes.js";
+import { buildMatcher, MATCH_DEFAULTS, sheetRowNumber } from "./match.js";
+import { NAMING_DEFAULTS, planOutputNames } from "./filename.js";
+import { formatForFileName, IMAGE_FORMATS } from "./formats.js";
+import {
+  getField,
+  localizedField,
+  rowValues,
+  withEdits,
+  withRights,
+} from "./sheet.js";
+import { splitList } from "./text.js";
+
+// Byte limits of the IPTC datasets the built-in fields are written to
+const IPTC_FIELD_LIMITS = [
+  { field: "Title", label: "IPTC 2:005 ObjectName", maxBytes: 64 },
+  { field: "Keywords", label: "IPTC 2:025 Keywords", maxBytes: 64 },
+  { field: "Caption", label: "IPTC 2:120 Caption-Abstract", maxBytes: 2000 },
+];
+
+// Alt text length the IPTC accessibility guidance recommends staying within
+export const ALT_TEXT_MAX_LENGTH = 250;
+
+// Accessibility problems with the values a row would write, as messages for
+// the image's card
+export const accessibilityWarnings = (values) => {
+  const alt = values.targets.find(
+    (t) => t.target.id === "xmp:Iptc4xmpCore:AltTextAccessibility"
+  )?.value;
+  const length = [...(alt || "").trim()].length;
+  if (!length) return ["Alt text is missing."];
+  if (length > ALT_TEXT_MAX_LENGTH) {
+    return [
+      `Alt text is ${length} characters; keep it under ${ALT_TEXT_MAX_LENGTH} and move detail to Extended description.`,
+    ];
+  }
+  return [];
+};
+
+// Fields a matched row should fill; an empty cell clears the existing value
+const REQUIRED_FIELDS = ["Title"];
+
+const lengthIssues = (fileName, values) => {
+  const issues = [];
+  const fieldValues = {
+    Title: [values.title],
+    Keywords: values.kwList,
+    Caption: [values.caption],
+  };
+  for (const { field, label, maxBytes } of IPTC_FIELD_LIMITS) {
+    for (const v of fieldValues[field]) {
+      const size = utf8(v).length;
+      if (size <= maxBytes) continue;
+      issues.push({
+        id: `iptc-length:${fileName}:${field}:${v}`,
+        severity: "warning",
+        message: `${fileName}: ${field} "${v}" is ${size} bytes; ${label} allows ${maxBytes}.`,
+      });
+    }
+  }
+  for (const { target, value } of values.targets) {
+    if (target.kind !== "iptc" || !target.maxBytes) continue;
+    for (const v of target.repeatable ? splitList(value) : [value]) {
+      const size = utf8(v).length;
+      if (size <= target.maxBytes) continue;
+      issues.push({
+        id: `iptc-length:${fileName}:${target.id}:${v}`,
+        severity: "warning",
+        message: `${fileName}: "${v}" is ${size} bytes; ${target.label} allows ${target.maxBytes}.`,
+      });
+    }
+  }
+  return issues;
+};
+
+// Check a sheet against the uploaded file names before anything is written,
+// using the matching, naming, transliteration and language settings, grid
+// edits, rights preset and keyword vocabulary the batch will use. IPTC
+// limits are only checked for formats written with IPTC (not PNG or WebP),
+// and with `sidecars` set, IPTC limits and output names are not checked:
+// sidecars carry no IPTC and are named after their source.
+// Returns issues as { id, severity: "error" | "warning", message }; ids are
+// stable across runs so acknowledged issues stay acknowledged.
+export const preflightIssues = (
+  rows,
+  fileNames,
+  mappings,
+  {
+    matchOptions = MATCH_DEFAULTS,
+    naming = NAMING_DEFAULTS,
+    transliteration,
+    edits = {},
+    rights,
+    languages,
+    vocabulary,
+    sidecars = false,
+  } = {}
+) => {
+  const issues = [];
+  rows.forEach((row, index) => {
+    if ((getField(row, "Source file name", mappings) || "").toString().trim())
+      return;
+    const number = sheetRowNumber(row, index);
+    issues.push({
+      id: `empty-source:${number}`,
+      severity: "error",
+      message: `Row ${number} has no Source file name.`,
+    });
+  });
+
+  const matcher = buildMatcher(rows, mappings, matchOptions, transliteration);
+  for (const [key, entries] of matcher.exact) {
+    if (entries.length < 2) continue;
+    const list = entries.map((e) => e.number).join(", ");
+    const { source } = entries[0];
+    const used = entries[entries.length - 1].number;
+    issues.push({
+      id: `duplicate-source:${key}`,
+      severity: "error",
+      message: `Source file name "${source}" appears in rows ${list}; row ${used} will be used.`,
+    });
+  }
+  for (const p of matcher.patterns) {
+    if (!p.error) continue;
+    issues.push({
+      id: `invalid-pattern:${p.number}:${p.source}`,
+      severity: "error",
+      message: `Row ${p.number}: pattern "${p.source}" is invalid (${p.error}).`,
+    });
+  }
+
+  const matchedEntries = new Set();
+  const named = [];
+  for (const fileName of fileNames) {
+    const matched = matcher.match(fileName);
+    if (!matched) {
+      issues.push({
+        id: `missing-row:${fileName}`,
+        severity: "error",
+        message: `${fileName} has no matching row.`,
+      });
+      continue;
+    }
+    matched.entries.forEach((e) => matchedEntries.add(e));
+    const row = withRights(
+      withEdits(matched.row, edits[fileName], mappings),
+      rights,
+      mappings
+    );
+    const numbers = matched.entries.map((e) => e.number).join(", ");
+    const values = rowValues(
+      row,
+      fileName,
+      mappings,
+      transliteration,
+      languages,
+      vocabulary
+    );
+    for (const field of REQUIRED_FIELDS) {
+      if ((getField(row, field, mappings) || "").toString().trim()) continue;
+      if (Object.keys(localizedField(row, field, mappings)).length) continue;
+      issues.push({
+        id: `empty-field:${fileName}:${field}`,
+        severity: "warning",
+        message: `${fileName} (row ${numbers}): ${field} is empty and will be cleared.`,
+      });
+    }
+    for (const error of values.errors) {
+      issues.push({
+        id: `invalid-cell:${fileName}:${error}`,
+        severity: "error",
+        message: `${fileName} (row ${numbers}): ${error}`,
+      });
+    }
+    for (const keyword of values.unknownKeywords) {
+      issues.push({
+        id: `unknown-keyword:${fileName}:${keyword}`,
+        severity: "warning",
+        message: `${fileName} (row ${numbers}): keyword "${keyword}" is not in the vocabulary.`,
+      });
+    }
+    const format = formatForFileName(fileName);
+    if (!sidecars && (!format || IMAGE_FORMATS[format].iptc)) {
+      issues.push(...lengthIssues(fileName, values));
+    }
+    named.push({ fileName, row });
+  }
+
+  const unused = [...matcher.exact.values()]
+    .map((entries) => entries[entries.length - 1])
+    .concat(matcher.patterns)
+    .filter((e) => !e.error && !matchedEntries.has(e))
+    .sort((a, b) => a.number - b.number);
+  for (const e of unused) {
+    issues.push({
+      id: `unmatched-row:${e.number}:${e.source}`,
+      severity: "warning",
+      message: `Row ${e.number} ("${e.source}") has no matching image.`,
+    });
+  }
+
+  if (sidecars) return issues;
+
+  let plan = [];
+  try {
+    plan = planOutputNames(named, mappings, naming, transliteration);
+  } catch (err) {
+    issues.push({
+      id: `output-template:${err?.message}`,
+      severity: "error",
+      message: `Output name template: ${err?.message}`,
+    });
+  }
+  const failedNames = new Set();
+  plan.forEach(({ name, status, conflict, wanted }, i) => {
+    if (status === "ok") return;
+    // Report each failing name once
+    if (status === "failed") {
+      if (failedNames.has(name.toLowerCase())) return;
+      failedNames.add(name.toLowerCase());
+    }
+    const { fileName } = named[i];
+    const messages = {
+      failed: `${fileName} and ${conflict} would both be written as ${name}; both will fail.`,
+      skipped: `${fileName} would be written as ${name}, already used by ${conflict}; it will be skipped.`,
+      renamed: `${fileName} would be written as ${wanted}, already used by ${conflict}; it will be written as ${name} instead.`,
+    };
+    issues.push({
+      id: `output-collision:${fileName}:${wanted}`,
+      severity: status === "failed" ? "error" : "warning",
+      message: messages[status],
+    });
+  });
+
+  return issues;
+};
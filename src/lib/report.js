@@ -0,0 +1,163 @@
+import * as XLSX from "xlsx";
+import { jpegSegments } from "./bytes.js";
+import { imageFormat } from "./formats.js";
+import { readPngChunks } from "./png.js";
+import { readTiffBlocks } from "./tiff.js";
+import { readWebpChunks } from "./webp.js";
+
+const hasSignature = (bytes, offset, signature) =>
+  bytes.length >= offset + signature.length &&
+  Array.from(signature).every((c, i) => bytes[offset + i] === c.charCodeAt(0));
+
+// Report name of a JPEG segment, or null for image data (tables, frame
+// headers and the like)
+const jpegSegmentName = (type, segment) => {
+  if (type === 0xfe) return "COM";
+  if (type < 0xe0 || type > 0xef) return null;
+  const signed = (signature) => hasSignature(segment, 4, signature);
+  if (type === 0xe1 && signed("Exif\0")) return "APP1 EXIF";
+  if (type === 0xe1 && signed("http://ns.adobe.com/xap/1.0/\0")) {
+    return "APP1 XMP";
+  }
+  if (type === 0xe1 && signed("http://ns.adobe.com/xmp/extension/\0")) {
+    return "APP1 Extended XMP";
+  }
+  if (type === 0xe2 && signed("ICC_PROFILE\0")) return "APP2 ICC";
+  if (type === 0xed && signed("Photoshop 3.0\0")) return "APP13 Photoshop";
+  return `APP${type - 0xe0}`;
+};
+
+const PNG_IMAGE_CHUNKS = ["IHDR", "PLTE", "IDAT", "IEND"];
+const PNG_TEXT_CHUNKS = ["tEXt", "zTXt", "iTXt"];
+const WEBP_IMAGE_CHUNKS = ["VP8 ", "VP8L", "ALPH", "ANIM", "ANMF"];
+
+// Metadata blocks of an image as Map(name -> [bytes]): JPEG APPn and COM
+// segments, PNG ancillary chunks (text chunks by keyword), WebP chunks other
+// than image data, TIFF IFDs and metadata tags. Empty for other files.
+const metadataBlocks = (bytes) => {
+  const blocks = new Map();
+  const add = (name, data) =>
+    blocks.set(name, [...(blocks.get(name) || []), data]);
+  const format = imageFormat(bytes);
+  if (format === "jpeg") {
+    for (const { type, segment } of jpegSegments(bytes)) {
+      const name = jpegSegmentName(type, segment);
+      if (name) add(name, segment);
+    }
+  } else if (format === "png") {
+    for (const chunk of readPngChunks(bytes)) {
+      if (PNG_IMAGE_CHUNKS.includes(chunk.type)) continue;
+      const keyword = PNG_TEXT_CHUNKS.includes(chunk.type)
+        ? new TextDecoder().decode(
+            chunk.data.subarray(0, Math.max(0, chunk.data.indexOf(0)))
+          )
+        : "";
+      add(keyword ? `${chunk.type} ${keyword}` : chunk.type, chunk.data);
+    }
+  } else if (format === "webp") {
+    for (const chunk of readWebpChunks(bytes)) {
+      if (!WEBP_IMAGE_CHUNKS.includes(chunk.type)) {
+        add(chunk.type.trim(), chunk.data);
+      }
+    }
+  } else if (format === "tiff") {
+    for (const { name, data } of readTiffBlocks(bytes)) add(name, data);
+  }
+  return blocks;
+};
+
+const sameBytes = (a, b) =>
+  a.length === b.length && a.every((byte, i) => byte === b[i]);
+
+const sameBlocks = (a, b) =>
+  a.length === b.length && a.every((data, i) => sameBytes(data, b[i]));
+
+// Metadata segments (chunks, for PNG and WebP; IFDs and tags, for TIFF) an
+// output has that its source lacked, has with other contents, or dropped:
+// { added, replaced, removed }, each a list of names such as "APP1 XMP"
+export const segmentChanges = (sourceBytes, outputBytes) => {
+  const before = metadataBlocks(sourceBytes);
+  const after = metadataBlocks(outputBytes);
+  const names = [...after.keys()];
+  return {
+    added: names.filter((n) => !before.has(n)),
+    replaced: names.filter(
+      (n) => before.has(n) && !sameBlocks(before.get(n), after.get(n))
+    ),
+    removed: [...before.keys()].filter((n) => !after.has(n)),
+  };
+};
+
+// One line for a field that did not verify
+export const mismatchText = ({ label, expected, actual }) =>
+  `${label}: expected "${expected}", read "${actual}"`;
+
+// Report of a batch with one row per image. `entries` are { source, output,
+// rowNumbers, status, error, mismatches, fields: [{label, value}],
+// bytesBefore, bytesAfter, segments: {added, replaced, removed}, media:
+// {id, url} }; missing parts are left blank. Field columns (every label any
+// image wrote) go between the error and the byte sizes; media columns are
+// added when any image was published. Returns { header, rows }.
+export const reportRows = (entries) => {
+  const labels = [
+    ...new Set(entries.flatMap((e) => (e.fields || []).map((f) => f.label))),
+  ];
+  const published = entries.some((e) => e.media);
+  const header = [
+    "Source file",
+    "Output file",
+    ...(published ? ["Media ID", "Media URL"] : []),
+    "Sheet row",
+    "Status",
+    "Error",
+    ...labels,
+    "Bytes before",
+    "Bytes after",
+    "Segments added",
+    "Segments replaced",
+    "Segments removed",
+  ];
+  const rows = entries.map((e) => {
+    const fields = new Map((e.fields || []).map((f) => [f.label, f.value]));
+    return {
+      "Source file": e.source,
+      "Output file": e.output || "",
+      ...(published
+        ? { "Media ID": e.media?.id ?? "", "Media URL": e.media?.url || "" }
+        : {}),
+      "Sheet row": e.rowNumbers || "",
+      Status: e.status,
+      Error: [e.error, ...(e.mismatches || []).map(mismatchText)]
+        .filter(Boolean)
+        .join("; "),
+      ...Object.fromEntries(labels.map((l) => [l, fields.get(l) ?? ""])),
+      "Bytes before": e.bytesBefore ?? "",
+      "Bytes after": e.bytesAfter ?? "",
+      "Segments added": (e.segments?.added || []).join(", "),
+      "Segments replaced": (e.segments?.replaced || []).join(", "),
+      "Segments removed": (e.segments?.removed || []).join(", "),
+    };
+  });
+  return { header, rows };
+};
+
+const reportWorkbook = (entries) => {
+  const { header, rows } = reportRows(entries);
+  const wb = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(
+    wb,
+    XLSX.utils.json_to_sheet(rows, { header }),
+    "Report"
+  );
+  return wb;
+};
+
+// Report file contents: XLSX bytes for a name ending in .xlsx, otherwise
+// CSV text (with a BOM so spreadsheet apps read it as UTF-8)
+export const reportFile = (entries, fileName) => {
+  const wb = reportWorkbook(entries);
+  if (/\.xlsx$/i.test(fileName)) {
+    return new Uint8Array(XLSX.write(wb, { type: "array", bookType: "xlsx" }));
+  }
+  return `\uFEFF${XLSX.utils.sheet_to_csv(wb.Sheets.Report)}`;
+};
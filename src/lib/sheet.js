@@ -0,0 +1,499 @@
+import * as XLSX from "xlsx";
+import { iptcDate, iptcTime, parseDateTaken, xmpDate } from "./dates.js";
+import { parseAltitude, parseCoordinate, xmpCoordinate } from "./gps.js";
+import { keywordsCell, resolveKeywords } from "./keywords.js";
+import { TARGETS_BY_ID } from "./targets.js";
+import { sanitizeAsciiText } from "./text.js";
+
+// Flatten a JSON cell so arrays (e.g. keyword lists) become comma-separated text
+const jsonCell = (v) => {
+  if (Array.isArray(v)) return v.map(jsonCell).join(", ");
+  if (v && typeof v === "object") return JSON.stringify(v);
+  return v ?? "";
+};
+
+// CSV field separator: whichever of comma, semicolon or tab the header line
+// uses most. SheetJS would otherwise guess, and can take the "|" of
+// hierarchical keywords for one.
+const csvSeparator = (text) => {
+  const header = text.split(/\r?\n/, 1)[0];
+  const count = (c) => header.split(c).length - 1;
+  return [",", ";", "\t"].reduce((a, b) => (count(b) > count(a) ? b : a));
+};
+
+// Parse a metadata source (file name + bytes) into a SheetJS workbook
+export const parseSheetSource = (fileName, bytes) => {
+  const ext = fileName.toLowerCase().split(".").pop();
+  if (ext === "json") {
+    const data = JSON.parse(new TextDecoder().decode(bytes));
+    if (
+      !Array.isArray(data) ||
+      !data.every((r) => r && typeof r === "object" && !Array.isArray(r))
+    ) {
+      throw new Error("JSON source must be an array of objects.");
+    }
+    const rows = data.map((r) =>
+      Object.fromEntries(Object.entries(r).map(([k, v]) => [k, jsonCell(v)]))
+    );
+    const wb = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(rows), "JSON");
+    return wb;
+  }
+  if (ext === "csv" || ext === "tsv" || ext === "txt") {
+    // Read as text so UTF-8 survives, and keep cells raw so "0012" stays a string
+    const text = new TextDecoder().decode(bytes);
+    return XLSX.read(text, {
+      type: "string",
+      raw: true,
+      FS: ext === "tsv" ? "\t" : csvSeparator(text),
+    });
+  }
+  return XLSX.read(bytes, { type: "array" });
+};
+
+// Rows of one worksheet, taking the given 1-based row as the header row
+export const sheetRows = (wb, sheetName, headerRow) => {
+  const sheet = wb?.Sheets?.[sheetName];
+  if (!sheet) return [];
+  return XLSX.utils.sheet_to_json(sheet, {
+    defval: "",
+    range: Math.max(0, headerRow - 1),
+  });
+};
+
+// XLSX header alias support
+export const HEADER_ALIASES = {
+  "Source file name": ["source"],
+  "Output file name": ["output", "output name", "output filename"],
+  Title: ["title"],
+  Caption: ["caption"],
+  Description: ["description"],
+  Keywords: ["keywords"],
+  Latitude: ["latitude", "lat", "gps latitude"],
+  Longitude: ["longitude", "lon", "lng", "long", "gps longitude"],
+  Altitude: ["altitude", "elevation", "gps altitude"],
+  City: ["city"],
+  State: ["state", "province", "province/state"],
+  Country: ["country"],
+  Sublocation: ["sublocation", "sub-location"],
+  "Date taken": ["date taken", "date", "date created", "capture date"],
+  "Alt text": ["alt text", "alt", "alt_text", "alternative text"],
+  "Extended description": [
+    "extended description",
+    "long description",
+    "extended alt text",
+  ],
+  Creator: ["creator", "artist", "author", "by-line"],
+  Copyright: ["copyright", "copyright notice"],
+  Credit: ["credit", "credit line"],
+  "Usage terms": ["usage terms", "license"],
+  "Web statement": ["web statement", "web statement url", "license url"],
+};
+
+// A header listed under two fields would be read as whichever comes first,
+// so the table is checked once on load
+const assertUniqueAliases = (aliases) => {
+  const owners = new Map();
+  for (const [field, names] of Object.entries(aliases)) {
+    for (const name of new Set([field, ...names].map((n) => n.toLowerCase()))) {
+      if (owners.has(name)) {
+        throw new Error(
+          `Header alias "${name}" is listed for both ${owners.get(
+            name
+          )} and ${field}.`
+        );
+      }
+      owners.set(name, field);
+    }
+  }
+};
+assertUniqueAliases(HEADER_ALIASES);
+
+// Place-name, accessibility and rights fields and the targets each one
+// fills, XMP first
+const FIELD_TARGETS = {
+  City: ["xmp:photoshop:City", "iptc:2:090"],
+  State: ["xmp:photoshop:State", "iptc:2:095"],
+  Country: ["xmp:photoshop:Country", "iptc:2:101"],
+  Sublocation: ["xmp:Iptc4xmpCore:Location", "iptc:2:092"],
+  "Alt text": ["xmp:Iptc4xmpCore:AltTextAccessibility"],
+  "Extended description": ["xmp:Iptc4xmpCore:ExtDescrAccessibility"],
+  Creator: ["xmp:dc:creator", "iptc:2:080", "exif:Artist"],
+  Copyright: ["xmp:dc:rights", "iptc:2:116", "exif:Copyright"],
+  Credit: ["xmp:photoshop:Credit", "iptc:2:110"],
+  "Usage terms": ["xmp:xmpRights:UsageTerms"],
+  "Web statement": ["xmp:xmpRights:WebStatement"],
+};
+
+// Fields a rights preset can fill
+export const RIGHTS_FIELDS = [
+  "Creator",
+  "Copyright",
+  "Credit",
+  "Usage terms",
+  "Web statement",
+];
+
+export const normHeader = (s = "") => s.toString().trim().toLowerCase();
+
+// Get a column value by header, ignoring case and surrounding whitespace
+export const getColumn = (row, column) => {
+  const want = normHeader(column);
+  for (const key of Object.keys(row)) {
+    if (normHeader(key) === want) return row[key];
+  }
+  return "";
+};
+
+// Column mapped to a built-in field in the active mapping, if any
+const mappedColumn = (mappings, canonical) =>
+  (mappings || []).find((m) => m.target === `field:${canonical}` && m.column)
+    ?.column;
+
+// Column a built-in field is read from: the mapped column, else the first
+// header matching the canonical name or an alias
+const fieldColumn = (row, canonical, mappings) => {
+  const mapped = mappedColumn(mappings, canonical);
+  const wanted = (
+    mapped ? [mapped] : [canonical, ...(HEADER_ALIASES[canonical] || [])]
+  ).map(normHeader);
+  return (
+    Object.keys(row).find((k) => wanted.includes(normHeader(k))) ||
+    mapped ||
+    canonical
+  );
+};
+
+// Built-in fields that can be edited per image in the grid
+export const EDITABLE_FIELDS = [
+  "Title",
+  "Caption",
+  "Description",
+  "Keywords",
+  "Alt text",
+];
+
+// Copy of a row with a built-in field set in the column getField reads
+export const setField = (row, canonical, value, mappings) => ({
+  ...row,
+  [fieldColumn(row, canonical, mappings)]: value,
+});
+
+// Copy of a row with {field: value} edits applied
+export const withEdits = (row, edits, mappings) =>
+  Object.entries(edits || {}).reduce(
+    (r, [field, value]) => setField(r, field, value, mappings),
+    row
+  );
+
+// Copy of a row with preset values ({field: value}) in the fields whose
+// cell is empty, so the row's own cells override the preset
+export const withRights = (row, rights, mappings) =>
+  Object.entries(rights || {}).reduce(
+    (r, [field, value]) =>
+      value && !(getField(r, field, mappings) ?? "").toString().trim()
+        ? setField(r, field, value, mappings)
+        : r,
+    row
+  );
+
+// Get a field value from a row, accepting a mapped column, canonical name or any alias
+export const getField = (row, canonical, mappings) => {
+  const mapped = mappedColumn(mappings, canonical);
+  if (mapped) return getColumn(row, mapped);
+  const aliases = [canonical, ...(HEADER_ALIASES[canonical] || [])].map(
+    normHeader
+  );
+  for (const key of Object.keys(row)) {
+    if (aliases.includes(normHeader(key))) return row[key];
+  }
+  return "";
+};
+
+// Resolve which actual header key exists in the provided rows
+export const resolveHeaderKey = (rows, canonical, mappings) => {
+  const mapped = mappedColumn(mappings, canonical);
+  const aliases = (
+    mapped ? [mapped] : [canonical, ...(HEADER_ALIASES[canonical] || [])]
+  ).map(normHeader);
+  for (const r of rows) {
+    for (const key of Object.keys(r)) {
+      if (aliases.includes(normHeader(key))) return key;
+    }
+  }
+  return mapped || canonical;
+};
+
+// Mapped XMP/IPTC/EXIF targets with the row's value, first non-empty column wins
+export const mappedTargetValues = (row, mappings) => {
+  const byTarget = new Map();
+  for (const m of mappings || []) {
+    const target = TARGETS_BY_ID.get(m.target);
+    if (!target || target.kind === "field" || !m.column) continue;
+    const value = row ? (getColumn(row, m.column) ?? "").toString().trim() : "";
+    if (!byTarget.has(target.id) || (!byTarget.get(target.id).value && value)) {
+      byTarget.set(target.id, { target, value });
+    }
+  }
+  return [...byTarget.values()];
+};
+
+// Headers of an exported sheet: built-in fields (under their mapped column, if any)
+// followed by columns mapped to other targets
+export const exportHeaders = (mappings) => {
+  const headers = Object.keys(HEADER_ALIASES).map(
+    (f) => mappedColumn(mappings, f) || f
+  );
+  for (const m of mappings || []) {
+    const target = TARGETS_BY_ID.get(m.target);
+    if (target && target.kind !== "field" && m.column) {
+      if (!headers.includes(m.column)) headers.push(m.column);
+    }
+  }
+  return headers;
+};
+
+// Build a spreadsheet row (canonical headers) pre-filled from a file's current metadata.
+// XMP is preferred, then IPTC, then EXIF.
+export const existingToRow = (fileName, existing, mappings) => {
+  const exif = existing?.exif || {};
+  const xmp = existing?.xmp || {};
+  const iptc = existing?.iptc || {};
+  const keywords = xmp.subject?.length
+    ? keywordsCell(xmp.subject, xmp.hierarchicalSubject)
+    : iptc.keywords?.length
+    ? iptc.keywords.join(", ")
+    : exif.keywords || "";
+  const fields = {
+    "Source file name": fileName,
+    "Output file name": "",
+    Title: xmp.title || iptc.title || exif.title || "",
+    Caption: iptc.caption || exif.comment || "",
+    Description: xmp.description || exif.description || "",
+    Keywords: keywords,
+    Latitude: exif.gps ? exif.gps.latitude.toFixed(6) : "",
+    Longitude: exif.gps ? exif.gps.longitude.toFixed(6) : "",
+    Altitude: exif.gps?.altitude != null ? String(exif.gps.altitude) : "",
+    "Date taken":
+      existing?.targets?.["xmp:photoshop:DateCreated"] ||
+      (exif.dateTaken ? xmpDate(exif.dateTaken) : ""),
+  };
+  for (const [field, ids] of Object.entries(FIELD_TARGETS)) {
+    fields[field] =
+      ids.map((id) => existing?.targets?.[id]).find(Boolean) || "";
+  }
+  const row = {};
+  for (const [field, value] of Object.entries(fields)) {
+    row[mappedColumn(mappings, field) || field] = value;
+  }
+  for (const { target } of mappedTargetValues(null, mappings)) {
+    // A column mapped to several targets takes the first non-empty value
+    const column = mappings.find((m) => m.target === target.id).column;
+    if (!row[column]) row[column] = existing?.targets?.[target.id] || "";
+  }
+  return row;
+};
+
+// Position from the Latitude/Longitude/Altitude fields. Empty cells give
+// null coordinates; unparseable ones are reported in `error`.
+const rowGps = (row, mappings) => {
+  const cell = (field) => getField(row, field, mappings);
+  try {
+    const gps = {
+      latitude: parseCoordinate(cell("Latitude"), "latitude"),
+      longitude: parseCoordinate(cell("Longitude"), "longitude"),
+      altitude: parseAltitude(cell("Altitude")),
+    };
+    if ((gps.latitude == null) !== (gps.longitude == null)) {
+      throw new Error("Latitude and Longitude must be set together.");
+    }
+    if (gps.latitude == null && gps.altitude != null) {
+      throw new Error("Altitude needs a Latitude and Longitude.");
+    }
+    return gps;
+  } catch (err) {
+    return {
+      latitude: null,
+      longitude: null,
+      altitude: null,
+      error: err.message,
+    };
+  }
+};
+
+// XMP and IPTC values of a capture date
+const dateTargets = (date) => {
+  const time = iptcTime(date);
+  return [
+    ["xmp:photoshop:DateCreated", xmpDate(date)],
+    ["xmp:xmp:CreateDate", xmpDate(date)],
+    ["iptc:2:055", iptcDate(date)],
+    ...(time ? [["iptc:2:060", time]] : []),
+  ];
+};
+
+// Merge derived [id, value] pairs into mapped target values; a mapped
+// column with a non-empty cell keeps its value
+const mergeTargets = (targets, derived) => {
+  const out = [...targets];
+  for (const [id, value] of derived) {
+    const at = out.findIndex((t) => t.target.id === id);
+    if (at === -1) out.push({ target: TARGETS_BY_ID.get(id), value });
+    else if (!out[at].value) out[at] = { ...out[at], value };
+  }
+  return out;
+};
+
+// Values with a capture date set, e.g. one shifted from the file's own
+// date; targets already holding a value keep it
+export const withDateTaken = (values, date) => ({
+  ...values,
+  date,
+  targets: mergeTargets(values.targets, dateTargets(date)),
+});
+
+// Targets filled from the place-name, accessibility, rights, GPS and Date
+// taken fields, unless a
+// mapped column already gives the same target a value
+const withDerivedTargets = (targets, row, mappings, gps, date) => {
+  const derived = date ? dateTargets(date) : [];
+  for (const [field, ids] of Object.entries(FIELD_TARGETS)) {
+    const value = (getField(row, field, mappings) ?? "").toString().trim();
+    if (value) ids.forEach((id) => derived.push([id, value]));
+  }
+  if (gps.latitude != null) {
+    derived.push([
+      "xmp:exif:GPSLatitude",
+      xmpCoordinate(gps.latitude, "latitude"),
+    ]);
+    derived.push([
+      "xmp:exif:GPSLongitude",
+      xmpCoordinate(gps.longitude, "longitude"),
+    ]);
+    if (gps.altitude != null) {
+      derived.push([
+        "xmp:exif:GPSAltitude",
+        `${Math.round(Math.abs(gps.altitude) * 100)}/100`,
+      ]);
+      derived.push(["xmp:exif:GPSAltitudeRef", gps.altitude < 0 ? "1" : "0"]);
+    }
+  }
+  return mergeTargets(targets, derived);
+};
+
+// Language-tagged column header: "Title [en]", "Description [sr-Latn]"
+const LANGUAGE_COLUMN = /^(.+?)\s*\[([a-z]{2,3}(?:-[a-z0-9]{2,8})*)\]$/i;
+
+// Language tag of a column header, lowercased, or null when untagged
+export const columnLanguage = (header) =>
+  header.match(LANGUAGE_COLUMN)?.[2].toLowerCase() ?? null;
+
+// With no languages chosen the untagged column is x-default and also feeds
+// the single-valued IPTC and EXIF fields
+export const LANGUAGE_DEFAULTS = { xDefault: "", legacy: "" };
+
+// Non-empty language-tagged cells of a built-in field as {lang: value}; a
+// mapped column takes the place of the standard header and aliases
+export const localizedField = (row, canonical, mappings) => {
+  const mapped = mappedColumn(mappings, canonical);
+  const bases = (
+    mapped ? [mapped] : [canonical, ...(HEADER_ALIASES[canonical] || [])]
+  ).map(normHeader);
+  const out = {};
+  for (const [key, value] of Object.entries(row || {})) {
+    const m = key.match(LANGUAGE_COLUMN);
+    const text = (value ?? "").toString();
+    if (m && bases.includes(normHeader(m[1])) && text.trim()) {
+      out[m[2].toLowerCase()] = text;
+    }
+  }
+  return out;
+};
+
+// A field's language alternatives for XMP ({"x-default", lang...}) and the
+// text for IPTC and EXIF. x-default is the chosen language, then the
+// untagged column, then the first tagged one.
+const languageVersions = (row, canonical, mappings, languages) => {
+  const plain = (getField(row, canonical, mappings) || "").toString();
+  const byLang = localizedField(row, canonical, mappings);
+  const pick = (lang) => (lang && byLang[lang.toLowerCase()]) || "";
+  const xDefault =
+    pick(languages.xDefault) || plain || Object.values(byLang)[0] || "";
+  return {
+    alt: { "x-default": xDefault, ...byLang },
+    legacy: pick(languages.legacy) || xDefault,
+  };
+};
+
+// Values a spreadsheet row will write, shared by applyMetadata and the preview diff.
+// `transliteration` is the profile used for ASCII-only EXIF text; `languages`
+// picks the x-default language and the one IPTC and EXIF get; `vocabulary`
+// (from buildVocabulary) normalizes keywords.
+export const rowValues = (
+  row,
+  fileName,
+  mappings,
+  transliteration,
+  languages = LANGUAGE_DEFAULTS,
+  vocabulary = null
+) => {
+  const titles = languageVersions(row, "Title", mappings, languages);
+  const captions = languageVersions(row, "Caption", mappings, languages);
+  const descriptions = languageVersions(
+    row,
+    "Description",
+    mappings,
+    languages
+  );
+  const title = titles.legacy;
+  const caption = captions.legacy;
+  const description = descriptions.legacy;
+  const { kwList, hierarchy, unknown } = resolveKeywords(
+    getField(row, "Keywords", mappings),
+    vocabulary
+  );
+  const gps = rowGps(row, mappings);
+  let date = null;
+  let dateError = null;
+  try {
+    date = parseDateTaken(getField(row, "Date taken", mappings));
+  } catch (err) {
+    dateError = err.message;
+  }
+  return {
+    title,
+    caption,
+    description,
+    // Language alternatives for dc:title and dc:description; sidecars
+    // fall back to the caption's for an empty description
+    titleAlt: titles.alt,
+    captionAlt: captions.alt,
+    descriptionAlt: descriptions.alt,
+    // XPKeywords text; Windows separates keywords with semicolons
+    keywords: kwList.join("; "),
+    kwList,
+    // "A|B|C" paths for lr:hierarchicalSubject
+    hierarchy,
+    // Keywords the vocabulary doesn't list
+    unknownKeywords: unknown,
+    asciiDescription: sanitizeAsciiText(
+      description || caption,
+      transliteration
+    ),
+    outputName: (
+      getField(row, "Output file name", mappings) || fileName
+    ).toString(),
+    targets: withDerivedTargets(
+      mappedTargetValues(row, mappings),
+      row,
+      mappings,
+      gps,
+      date
+    ),
+    gps,
+    date,
+    // Cells that cannot be written; the image fails while any remain
+    errors: [gps.error, dateError].filter(Boolean),
+    transliteration,
+  };
+};
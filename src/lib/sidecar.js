@@ -0,0 +1,153 @@
+import { parseIptcDateTime, xmpDate } from "./dates.js";
+import { TARGETS_BY_ID } from "./targets.js";
+import { sameListText } from "./text.js";
+import { buildXmpXml, readXmpPacket } from "./xmp.js";
+
+// XMP properties standing in for mapped IPTC datasets and EXIF tags, after
+// the IPTC Photo Metadata mapping. 2:055/2:060 become photoshop:DateCreated;
+// EXIF XPSubject has no XMP counterpart and is left out.
+const XMP_EQUIVALENTS = {
+  "iptc:2:040": "xmp:photoshop:Instructions",
+  "iptc:2:080": "xmp:dc:creator",
+  "iptc:2:085": "xmp:photoshop:AuthorsPosition",
+  "iptc:2:090": "xmp:photoshop:City",
+  "iptc:2:092": "xmp:Iptc4xmpCore:Location",
+  "iptc:2:095": "xmp:photoshop:State",
+  "iptc:2:100": "xmp:Iptc4xmpCore:CountryCode",
+  "iptc:2:101": "xmp:photoshop:Country",
+  "iptc:2:103": "xmp:photoshop:TransmissionReference",
+  "iptc:2:105": "xmp:photoshop:Headline",
+  "iptc:2:110": "xmp:photoshop:Credit",
+  "iptc:2:115": "xmp:photoshop:Source",
+  "iptc:2:116": "xmp:dc:rights",
+  "iptc:2:122": "xmp:photoshop:CaptionWriter",
+  "exif:Artist": "xmp:dc:creator",
+  "exif:XPAuthor": "xmp:dc:creator",
+  "exif:Copyright": "xmp:dc:rights",
+};
+
+const stem = (fileName) => fileName.replace(/\.[^.]*$/, "");
+
+// Sidecar names for a batch of source files: "IMG_0001.CR2" gets
+// "IMG_0001.xmp", the name Lightroom and Bridge look for. When two sources
+// share a stem (a RAW+JPEG pair) the later ones get "IMG_0001.JPG.xmp".
+export const planSidecarNames = (fileNames) => {
+  const taken = new Set();
+  return fileNames.map((fileName) => {
+    let name = `${stem(fileName)}.xmp`;
+    if (taken.has(name.toLowerCase())) name = `${fileName}.xmp`;
+    taken.add(name.toLowerCase());
+    return name;
+  });
+};
+
+// Mapped values as XMP properties ([{target, value}]): XMP targets as they
+// are, then the XMP equivalents of IPTC datasets and EXIF tags where no XMP
+// value is set, then the capture date as exif:DateTimeOriginal
+export const sidecarTargets = (values) => {
+  const byId = new Map();
+  const add = (id, value) => {
+    if (id && value && !byId.get(id)?.value) {
+      byId.set(id, { target: TARGETS_BY_ID.get(id), value });
+    }
+  };
+  const valueOf = (id) =>
+    values.targets.find((t) => t.target.id === id)?.value || "";
+  for (const { target, value } of values.targets) {
+    if (target.kind === "xmp") add(target.id, value);
+  }
+  for (const { target, value } of values.targets) {
+    add(XMP_EQUIVALENTS[target.id], value);
+  }
+  const iptcDate = parseIptcDateTime(
+    valueOf("iptc:2:055"),
+    valueOf("iptc:2:060")
+  );
+  if (iptcDate) add("xmp:photoshop:DateCreated", xmpDate(iptcDate));
+  if (values.date) add("xmp:exif:DateTimeOriginal", xmpDate(values.date));
+  return [...byId.values()];
+};
+
+// dc:description of a sidecar: the Description, or the Caption when the
+// row has no Description, since a sidecar has no IPTC Caption-Abstract
+const sidecarDescription = (values) =>
+  values.description || !values.caption
+    ? values.descriptionAlt || values.description
+    : values.captionAlt || values.caption;
+
+// XMP sidecar packet for a row's values (from rowValues): the packet
+// writeMetadata embeds, extended with every mapped field
+export const buildSidecarXmp = (values) => {
+  if (values.errors?.length) throw new Error(values.errors.join(" "));
+  return buildXmpXml(
+    values.titleAlt || values.title,
+    sidecarDescription(values),
+    values.kwList,
+    sidecarTargets(values),
+    values.hierarchy
+  );
+};
+
+// Properties a sidecar will hold, as { label, value } rows for a preview
+export const sidecarFields = (values) => {
+  const description = sidecarDescription(values);
+  return [
+    { label: "XMP dc:title", value: values.titleAlt?.["x-default"] ?? "" },
+    {
+      label: "XMP dc:description",
+      value:
+        typeof description === "string"
+          ? description
+          : description?.["x-default"] ?? "",
+    },
+    { label: "XMP dc:subject", value: values.kwList.join(", ") },
+    {
+      label: "XMP lr:hierarchicalSubject",
+      value: values.hierarchy.join(", "),
+    },
+    ...sidecarTargets(values).map(({ target, value }) => ({
+      label: target.label,
+      value,
+    })),
+  ];
+};
+
+// Re-read a sidecar packet and compare it with the properties it should
+// hold; returns { fields, mismatches } like verifyMetadata
+export const verifySidecar = (xml, values) => {
+  let xmp;
+  try {
+    xmp = readXmpPacket(xml);
+  } catch (err) {
+    return {
+      fields: [],
+      mismatches: [
+        { label: "Sidecar", expected: "readable", actual: err.message },
+      ],
+    };
+  }
+  const actual = new Map([
+    ["XMP dc:title", xmp.title],
+    ["XMP dc:description", xmp.description],
+    ["XMP dc:subject", xmp.subject.join(", ")],
+    ["XMP lr:hierarchicalSubject", xmp.hierarchicalSubject.join(", ")],
+    ...sidecarTargets(values).map(({ target }) => [
+      target.label,
+      xmp.targets[target.id],
+    ]),
+  ]);
+  const expected = sidecarFields(values);
+  return {
+    fields: expected.map(({ label }) => ({
+      label,
+      value: actual.get(label) || "",
+    })),
+    mismatches: expected
+      .map(({ label, value }) => ({
+        label,
+        expected: value,
+        actual: actual.get(label) || "",
+      }))
+      .filter((m) => !sameListText(m.expected, m.actual)),
+  };
+};
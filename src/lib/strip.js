@@ -0,0 +1,234 @@
+import piexif from "piexifjs";
+import {
+  binaryStringToBytes,
+  bytesToBinaryString,
+  removeJpegSegments,
+  utf8,
+} from "./bytes.js";
+import { editExifTiff, tiffTagChanges } from "./exif.js";
+import { imageFormat } from "./formats.js";
+import { removePhotoshopResources } from "./iptc.js";
+import { readPngMetadata, removePngChunks, writePngMetadata } from "./png.js";
+import { readTiffMetadata, TIFF_XMP_TAG, writeTiffTags } from "./tiff.js";
+import {
+  readWebpMetadata,
+  removeWebpIccProfile,
+  writeWebpMetadata,
+} from "./webp.js";
+import {
+  loadXmpDocument,
+  removeXmpPacketProperties,
+  removeXmpProperties,
+  replaceXmpDocument,
+} from "./xmp.js";
+
+// Categories of metadata strip mode can remove, in display order
+export const STRIP_CATEGORIES = [
+  ["location", "Location (GPS)"],
+  ["device", "Device identifiers"],
+  ["thumbnails", "Thumbnails"],
+  ["makerNotes", "MakerNotes"],
+  ["xmpHistory", "XMP history"],
+  ["icc", "ICC color profile"],
+];
+
+// Strip mode is off until enabled; the ICC profile is kept by default since
+// removing it changes how colors are shown
+export const STRIP_DEFAULTS = {
+  enabled: false,
+  location: true,
+  device: true,
+  thumbnails: true,
+  makerNotes: true,
+  xmpHistory: true,
+  icc: false,
+};
+
+// Serial numbers and owner names that tie an image to a camera or person
+const DEVICE_TAGS = [
+  ["0th", piexif.ImageIFD.CameraSerialNumber, "CameraSerialNumber"],
+  ["Exif", piexif.ExifIFD.BodySerialNumber, "BodySerialNumber"],
+  ["Exif", piexif.ExifIFD.LensSerialNumber, "LensSerialNumber"],
+  ["Exif", piexif.ExifIFD.CameraOwnerName, "CameraOwnerName"],
+  ["Exif", piexif.ExifIFD.ImageUniqueID, "ImageUniqueID"],
+];
+
+const NS = {
+  exif: "http://ns.adobe.com/exif/1.0/",
+  aux: "http://ns.adobe.com/exif/1.0/aux/",
+  exifEX: "http://cipa.jp/exif/1.0/",
+  xmp: "http://ns.adobe.com/xap/1.0/",
+  xmpMM: "http://ns.adobe.com/xap/1.0/mm/",
+  photoshop: "http://ns.adobe.com/photoshop/1.0/",
+};
+
+// XMP properties per category as [namespace, local names]; null names
+// match every GPS* property of the namespace
+const XMP_PROPERTIES = {
+  location: [[NS.exif, null]],
+  device: [
+    [NS.aux, ["SerialNumber", "LensSerialNumber", "OwnerName"]],
+    [NS.exifEX, ["BodySerialNumber", "LensSerialNumber", "CameraOwnerName"]],
+    [NS.exif, ["ImageUniqueID"]],
+  ],
+  thumbnails: [[NS.xmp, ["Thumbnails"]]],
+  xmpHistory: [
+    [NS.xmpMM, ["History", "DerivedFrom", "Ingredients", "Pantry", "Manifest"]],
+    [NS.photoshop, ["DocumentAncestors"]],
+  ],
+};
+
+// Photoshop thumbnail resources (Photoshop 4.0 and 5.0+)
+const PHOTOSHOP_THUMBNAILS = [0x0409, 0x040c];
+
+const ICC_SIG = utf8("ICC_PROFILE\0");
+
+const isIccSegment = (type, segment) =>
+  type === 0xe2 && ICC_SIG.every((b, i) => segment[4 + i] === b);
+
+// Remove the selected EXIF categories from a piexif object; returns whether
+// anything was removed
+const stripExifObject = (exifObj, options, removed) => {
+  const before = removed.length;
+  const drop = (ifd, tag, label) => {
+    if (exifObj[ifd]?.[tag] === undefined) return;
+    delete exifObj[ifd][tag];
+    removed.push(label);
+  };
+  if (options.location && Object.keys(exifObj.GPS || {}).length) {
+    exifObj.GPS = {};
+    removed.push("EXIF GPS");
+  }
+  if (options.device) {
+    for (const [ifd, tag, name] of DEVICE_TAGS) drop(ifd, tag, `EXIF ${name}`);
+  }
+  if (options.makerNotes) {
+    drop("Exif", piexif.ExifIFD.MakerNote, "EXIF MakerNote");
+  }
+  if (options.thumbnails && exifObj.thumbnail) {
+    exifObj.thumbnail = null;
+    exifObj["1st"] = {};
+    removed.push("EXIF thumbnail");
+  }
+  return removed.length > before;
+};
+
+const stripExif = (jpegBytes, options, removed) => {
+  const jpeg = bytesToBinaryString(jpegBytes);
+  const exifObj = piexif.load(jpeg);
+  if (!stripExifObject(exifObj, options, removed)) return jpegBytes;
+  return binaryStringToBytes(piexif.insert(piexif.dump(exifObj), jpeg));
+};
+
+// test(namespaceURI, localName) for the XMP properties of the selected
+// categories
+const xmpStripTest = (options) => {
+  const rules = Object.entries(XMP_PROPERTIES)
+    .filter(([category]) => options[category])
+    .flatMap(([, list]) => list);
+  return (ns, name) =>
+    rules.some(
+      ([ruleNs, list]) =>
+        ns === ruleNs && (list ? list.includes(name) : name.startsWith("GPS"))
+    );
+};
+
+const stripXmp = (jpegBytes, options, removed) => {
+  const doc = loadXmpDocument(jpegBytes);
+  if (!doc) return jpegBytes;
+  const names = removeXmpProperties(doc, xmpStripTest(options));
+  if (!names.length) return jpegBytes;
+  removed.push(...names.map((n) => `XMP ${n}`));
+  return replaceXmpDocument(jpegBytes, doc);
+};
+
+// The stripped XMP packet, or the packet as it was when nothing matched
+const stripXmpPacket = (xml, options, removed) => {
+  if (!xml) return xml;
+  const result = removeXmpPacketProperties(xml, xmpStripTest(options));
+  removed.push(...result.removed.map((n) => `XMP ${n}`));
+  return result.xml;
+};
+
+// PNG and WebP: the eXIf/EXIF chunk, the XMP chunk and the ICC profile
+const stripChunks = (bytes, format, options, removed) => {
+  const png = format === "png";
+  const { exif, xmp } = png ? readPngMetadata(bytes) : readWebpMetadata(bytes);
+  const before = removed.length;
+  const strippedExif =
+    exif && editExifTiff(exif, (o) => stripExifObject(o, options, removed));
+  const strippedXmp = stripXmpPacket(xmp, options, removed);
+  if (removed.length > before) {
+    const write = png ? writePngMetadata : writeWebpMetadata;
+    bytes = write(bytes, { exif: strippedExif || exif, xmp: strippedXmp });
+  }
+  if (options.icc) {
+    const result = png
+      ? removePngChunks(bytes, (c) => c.type === "iCCP")
+      : removeWebpIccProfile(bytes);
+    bytes = result.bytes;
+    if (result.count) removed.push("ICC profile");
+  }
+  return bytes;
+};
+
+// TIFF: tags of IFD0 and the Exif and GPS IFDs, the XMP tag and the ICC
+// profile tag. The IFD after IFD0 is the next page rather than a
+// thumbnail, so it is kept.
+const stripTiff = (tiffBytes, options, removed) => {
+  const before = removed.length;
+  let dropGps = false;
+  const changes = tiffTagChanges(tiffBytes, (exifObj) => {
+    dropGps = options.location && Object.keys(exifObj.GPS || {}).length > 0;
+    stripExifObject(exifObj, { ...options, thumbnails: false }, removed);
+    const icc = piexif.ImageIFD.InterColorProfile;
+    if (options.icc && exifObj["0th"][icc] !== undefined) {
+      delete exifObj["0th"][icc];
+      removed.push("ICC profile");
+    }
+  });
+  // Drop the GPS IFD pointer rather than leave it at an empty IFD
+  if (dropGps) {
+    changes.GPS = {};
+    changes["0th"][piexif.ImageIFD.GPSTag] = null;
+  }
+  const { xmp } = readTiffMetadata(tiffBytes);
+  const strippedXmp = stripXmpPacket(xmp, options, removed);
+  if (strippedXmp !== xmp) {
+    changes["0th"][TIFF_XMP_TAG] = { type: "Byte", value: utf8(strippedXmp) };
+  }
+  return removed.length > before
+    ? writeTiffTags(tiffBytes, changes)
+    : tiffBytes;
+};
+
+// Remove the selected categories of existing metadata from JPEG, PNG, WebP
+// or TIFF bytes before tagging. Returns { bytes, removed } with a label per
+// removed item, e.g. "EXIF GPS" or "XMP xmpMM:History".
+export const stripMetadata = (imageBytes, options = STRIP_DEFAULTS) => {
+  const format = imageFormat(imageBytes);
+  if (!format) {
+    throw new Error("Only JPEG, PNG, WebP and TIFF are supported.");
+  }
+  const removed = [];
+  if (format !== "jpeg") {
+    const bytes =
+      format === "tiff"
+        ? stripTiff(imageBytes, options, removed)
+        : stripChunks(imageBytes, format, options, removed);
+    return { bytes, removed: [...new Set(removed)] };
+  }
+  let bytes = stripExif(imageBytes, options, removed);
+  bytes = stripXmp(bytes, options, removed);
+  if (options.thumbnails) {
+    const result = removePhotoshopResources(bytes, PHOTOSHOP_THUMBNAILS);
+    bytes = result.bytes;
+    if (result.removed.length) removed.push("Photoshop thumbnail");
+  }
+  if (options.icc) {
+    const result = removeJpegSegments(bytes, isIccSegment);
+    bytes = result.bytes;
+    if (result.count) removed.push("ICC profile");
+  }
+  return { bytes, removed: [...new Set(removed)] };
+};
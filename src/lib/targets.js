@@ -0,0 +1,120 @@
+import piexif from "piexifjs";
+
+// Namespaces available to mapped XMP properties
+export const XMP_NAMESPACES = {
+  dc: "http://purl.org/dc/elements/1.1/",
+  xmp: "http://ns.adobe.com/xap/1.0/",
+  photoshop: "http://ns.adobe.com/photoshop/1.0/",
+  xmpRights: "http://ns.adobe.com/xap/1.0/rights/",
+  Iptc4xmpCore: "http://iptc.org/std/Iptc4xmpCore/1.0/xmlns/",
+  exif: "http://ns.adobe.com/exif/1.0/",
+};
+
+const fieldTarget = (field, label) => ({
+  id: `field:${field}`,
+  label,
+  kind: "field",
+  field,
+});
+
+const xmpTarget = (ns, name, type = "text") => ({
+  id: `xmp:${ns}:${name}`,
+  label: `XMP ${ns}:${name}`,
+  kind: "xmp",
+  ns,
+  name,
+  type,
+});
+
+const iptcTarget = (dataset, name, maxBytes, repeatable = false) => ({
+  id: `iptc:2:${String(dataset).padStart(3, "0")}`,
+  label: `IPTC 2:${String(dataset).padStart(3, "0")} ${name}`,
+  kind: "iptc",
+  dataset,
+  maxBytes,
+  repeatable,
+});
+
+const exifTarget = (name, encoding) => ({
+  id: `exif:${name}`,
+  label: `EXIF ${name}`,
+  kind: "exif",
+  tag: piexif.ImageIFD[name],
+  encoding,
+});
+
+// Metadata targets a sheet column can be mapped to.
+// "field" targets feed the built-in Title/Caption/Description/Keywords pipeline;
+// the others write a single XMP property, IPTC dataset or EXIF tag.
+export const METADATA_TARGETS = [
+  fieldTarget("Source file name", "Source file name"),
+  fieldTarget("Output file name", "Output file name"),
+  fieldTarget("Title", "Title (EXIF/XMP/IPTC)"),
+  fieldTarget("Caption", "Caption (EXIF/IPTC)"),
+  fieldTarget("Description", "Description (EXIF/XMP)"),
+  fieldTarget("Keywords", "Keywords (EXIF/XMP/IPTC)"),
+  fieldTarget("Latitude", "Latitude (EXIF GPS/XMP)"),
+  fieldTarget("Longitude", "Longitude (EXIF GPS/XMP)"),
+  fieldTarget("Altitude", "Altitude (EXIF GPS/XMP)"),
+  fieldTarget("City", "City (IPTC/XMP)"),
+  fieldTarget("State", "Province/State (IPTC/XMP)"),
+  fieldTarget("Country", "Country (IPTC/XMP)"),
+  fieldTarget("Sublocation", "Sublocation (IPTC/XMP)"),
+  fieldTarget("Date taken", "Date taken (EXIF/XMP/IPTC)"),
+  fieldTarget("Alt text", "Alt text (XMP)"),
+  fieldTarget("Extended description", "Extended description (XMP)"),
+  fieldTarget("Creator", "Creator (EXIF/XMP/IPTC)"),
+  fieldTarget("Copyright", "Copyright notice (EXIF/XMP/IPTC)"),
+  fieldTarget("Credit", "Credit line (XMP/IPTC)"),
+  fieldTarget("Usage terms", "Usage terms (XMP)"),
+  fieldTarget("Web statement", "Web statement URL (XMP)"),
+  xmpTarget("photoshop", "Headline"),
+  xmpTarget("photoshop", "City"),
+  xmpTarget("photoshop", "State"),
+  xmpTarget("photoshop", "Country"),
+  xmpTarget("photoshop", "Credit"),
+  xmpTarget("photoshop", "Source"),
+  xmpTarget("photoshop", "Instructions"),
+  xmpTarget("photoshop", "AuthorsPosition"),
+  xmpTarget("photoshop", "CaptionWriter"),
+  xmpTarget("photoshop", "DateCreated"),
+  xmpTarget("photoshop", "TransmissionReference"),
+  xmpTarget("Iptc4xmpCore", "Location"),
+  xmpTarget("Iptc4xmpCore", "CountryCode"),
+  xmpTarget("Iptc4xmpCore", "AltTextAccessibility", "alt"),
+  xmpTarget("Iptc4xmpCore", "ExtDescrAccessibility", "alt"),
+  xmpTarget("dc", "creator", "seq"),
+  xmpTarget("dc", "rights", "alt"),
+  xmpTarget("xmpRights", "UsageTerms", "alt"),
+  xmpTarget("xmpRights", "WebStatement"),
+  xmpTarget("xmp", "Label"),
+  xmpTarget("xmp", "Rating"),
+  xmpTarget("xmp", "CreateDate"),
+  xmpTarget("exif", "DateTimeOriginal"),
+  xmpTarget("exif", "GPSLatitude"),
+  xmpTarget("exif", "GPSLongitude"),
+  xmpTarget("exif", "GPSAltitude"),
+  xmpTarget("exif", "GPSAltitudeRef"),
+  iptcTarget(40, "Special Instructions", 256),
+  iptcTarget(55, "Date Created", 8),
+  iptcTarget(60, "Time Created", 11),
+  iptcTarget(80, "By-line", 32, true),
+  iptcTarget(85, "By-line Title", 32, true),
+  iptcTarget(90, "City", 32),
+  iptcTarget(92, "Sub-location", 32),
+  iptcTarget(95, "Province/State", 32),
+  iptcTarget(100, "Country Code", 3),
+  iptcTarget(101, "Country", 64),
+  iptcTarget(103, "Transmission Reference", 32),
+  iptcTarget(105, "Headline", 256),
+  iptcTarget(110, "Credit", 32),
+  iptcTarget(115, "Source", 32),
+  iptcTarget(116, "Copyright Notice", 128),
+  iptcTarget(122, "Writer/Editor", 32, true),
+  exifTarget("Artist", "ascii"),
+  exifTarget("Copyright", "ascii"),
+  exifTarget("XPAuthor", "xp"),
+  exifTarget("XPSubject", "xp"),
+];
+
+export const TARGETS_BY_ID = new Map(METADATA_TARGETS.map((t) => [t.id, t]));
@@ -0,0 +1,136 @@
+// Basic XML escape
+export const xmlEscape = (s = "") =>
+  s
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+
+// Split a multi-value cell (creators, bylines) on semicolons
+export const splitList = (v = "") =>
+  v
+    .toString()
+    .split(";")
+    .map((s) => s.trim())
+    .filter(Boolean);
+
+// Whether two values hold the same text, ignoring spacing around the
+// semicolons that separate multi-value entries
+export const sameListText = (a = "", b = "") =>
+  splitList(a).join(";") === splitList(b).join(";");
+
+// Table from "Š=S Đ=DJ" pairs, each added in upper and lower case
+const letters = (spec) =>
+  Object.fromEntries(
+    spec
+      .split(/\s+/)
+      .filter(Boolean)
+      .flatMap((pair) => {
+        const [from, to] = pair.split("=");
+        return [
+          [from, to],
+          [from.toLowerCase(), to.toLowerCase()],
+        ];
+      })
+  );
+
+// Built-in transliteration tables ({from: to}). Longer keys win, so digraphs
+// like DŽ are replaced before their single letters. Whatever a table leaves
+// is folded to plain letters where an ASCII-only result is needed.
+export const TRANSLITERATION_PROFILES = {
+  serbian: {
+    label: "Serbian (Latin and Cyrillic)",
+    table: {
+      ...letters("Š=S Đ=DJ Č=C Ć=C Ž=Z DŽ=DZ"),
+      // Cyrillic per the official Latin alphabet, reduced to ASCII
+      ...letters(
+        "А=A Б=B В=V Г=G Д=D Ђ=Dj Е=E Ж=Z З=Z И=I Ј=J К=K Л=L Љ=Lj М=M " +
+          "Н=N Њ=Nj О=O П=P Р=R С=S Т=T Ћ=C У=U Ф=F Х=H Ц=C Ч=C Џ=Dz Ш=S"
+      ),
+    },
+  },
+  croatian: {
+    label: "Croatian",
+    table: letters("Š=S Đ=Dj Č=C Ć=C Ž=Z DŽ=DZ"),
+  },
+  german: {
+    label: "German",
+    table: letters("Ä=Ae Ö=Oe Ü=Ue ẞ=SS"),
+  },
+  hungarian: {
+    label: "Hungarian",
+    table: letters("Á=A É=E Í=I Ó=O Ö=O Ő=O Ú=U Ü=U Ű=U"),
+  },
+  none: { label: "None (accents dropped only)", table: {} },
+};
+
+export const DEFAULT_TRANSLITERATION = "serbian";
+
+// Profile for an id, built-in or custom ({base, table}); custom entries
+// override the base table they extend
+export const resolveTransliteration = (id, custom = {}) => {
+  if (TRANSLITERATION_PROFILES[id]) return TRANSLITERATION_PROFILES[id];
+  const own = custom[id];
+  if (!own) return TRANSLITERATION_PROFILES[DEFAULT_TRANSLITERATION];
+  const base = TRANSLITERATION_PROFILES[own.base];
+  return { label: id, table: { ...base?.table, ...own.table } };
+};
+
+const escapeRegExp = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Apply a profile's table to a string
+export const transliterate = (
+  s = "",
+  profile = TRANSLITERATION_PROFILES[DEFAULT_TRANSLITERATION]
+) => {
+  const keys = Object.keys(profile?.table || {})
+    .filter(Boolean)
+    .sort((a, b) => b.length - a.length);
+  if (!keys.length) return s;
+  const re = new RegExp(keys.map(escapeRegExp).join("|"), "g");
+  return s.replace(re, (m) => profile.table[m]);
+};
+
+// Transliterate Serbian characters to ASCII equivalents when needed
+export const transliterateSerbian = (s = "") =>
+  transliterate(s, TRANSLITERATION_PROFILES.serbian);
+
+// Custom table text: one "from=to" pair per line
+export const parseTransliterationTable = (text = "") => {
+  const table = {};
+  for (const line of text.split(/\r?\n/)) {
+    const at = line.indexOf("=");
+    if (at <= 0) continue;
+    const from = line.slice(0, at).trim();
+    if (from) table[from] = line.slice(at + 1).trim();
+  }
+  return table;
+};
+
+export const formatTransliterationTable = (table = {}) =>
+  Object.entries(table)
+    .map(([from, to]) => `${from}=${to}`)
+    .join("\n");
+
+// Convert common non-ASCII punctuation to ASCII and strip remaining non-ASCII
+export const sanitizeAsciiText = (s = "", profile) => {
+  let t = transliterate(s, profile);
+  t = t
+    .replace(/[–—]/g, "-")
+    .replace(/[“”„]/g, '"')
+    .replace(/[’‘]/g, "'")
+    .replace(/…/g, "...")
+    .replace(/•/g, "*")
+    .replace(/™/g, "(TM)")
+    .replace(/®/g, "(R)")
+    .replace(/©/g, "(C)");
+  if (typeof t.normalize === "function") {
+    t = t.normalize("NFKD");
+  }
+  // Strip non-ASCII without using control characters in regex
+  t = Array.from(t)
+    .map((ch) => (ch.codePointAt(0) <= 0x7f ? ch : ""))
+    .join("");
+  return t;
+};
@@ -0,0 +1,252 @@
+import { concatBytes } from "./bytes.js";
+
+// IFD0 tags holding metadata blocks
+export const TIFF_XMP_TAG = 700;
+export const TIFF_IPTC_TAG = 33723;
+export const TIFF_PHOTOSHOP_TAG = 34377;
+
+// IFD0 tags pointing to the sub-IFDs piexif reads and writes
+const SUB_IFD_TAGS = { Exif: 34665, GPS: 34853 };
+
+// Field types: piexif's type names and the byte size of one value
+const TYPES = {
+  Byte: { id: 1, size: 1 },
+  Ascii: { id: 2, size: 1 },
+  Short: { id: 3, size: 2 },
+  Long: { id: 4, size: 4 },
+  Rational: { id: 5, size: 8 },
+  Undefined: { id: 7, size: 1 },
+  SLong: { id: 9, size: 4 },
+  SRational: { id: 10, size: 8 },
+};
+const TYPE_SIZES = {
+  1: 1,
+  2: 1,
+  3: 2,
+  4: 4,
+  5: 8,
+  6: 1,
+  7: 1,
+  8: 2,
+  9: 4,
+  10: 8,
+  11: 4,
+  12: 8,
+};
+
+// Classic TIFF header: "II" or "MM", then 42
+export const isTiff = (bytes) =>
+  bytes.length >= 8 &&
+  ((bytes[0] === 0x49 && bytes[1] === 0x49 && bytes[2] === 42) ||
+    (bytes[0] === 0x4d && bytes[1] === 0x4d && bytes[3] === 42));
+
+const tiffView = (tiffBytes) => {
+  const view = new DataView(tiffBytes.buffer, tiffBytes.byteOffset);
+  const le = tiffBytes[0] === 0x49;
+  if (view.getUint16(2, le) === 43) {
+    throw new Error("BigTIFF files are not supported.");
+  }
+  return { view, le };
+};
+
+// Entries of the IFD at an offset as [{tag, type, count, field}], field
+// being the raw 4-byte value or offset, plus the next-IFD offset
+const readIfd = ({ view, le }, offset) => {
+  const count = view.getUint16(offset, le);
+  const entries = [];
+  for (let i = 0; i < count; i++) {
+    const p = offset + 2 + i * 12;
+    entries.push({
+      tag: view.getUint16(p, le),
+      type: view.getUint16(p + 2, le),
+      count: view.getUint32(p + 4, le),
+      field: new Uint8Array(view.buffer, view.byteOffset + p + 8, 4).slice(),
+    });
+  }
+  return { entries, next: view.getUint32(offset + 2 + count * 12, le) };
+};
+
+const readOffset = (field, le) => new DataView(field.buffer).getUint32(0, le);
+
+// Data bytes of an entry, whether inline or at an offset
+const entryData = ({ view, le }, entry) => {
+  const size = (TYPE_SIZES[entry.type] || 1) * entry.count;
+  if (size <= 4) return entry.field.subarray(0, size);
+  return new Uint8Array(
+    view.buffer,
+    view.byteOffset + readOffset(entry.field, le),
+    size
+  );
+};
+
+// XMP packet and IPTC IIM block stored in a TIFF's IFD0
+export const readTiffMetadata = (tiffBytes) => {
+  const tiff = tiffView(tiffBytes);
+  const { entries } = readIfd(tiff, tiff.view.getUint32(4, tiff.le));
+  const data = (tag) => {
+    const entry = entries.find((e) => e.tag === tag);
+    return entry ? entryData(tiff, entry) : null;
+  };
+  const xmp = data(TIFF_XMP_TAG);
+  return {
+    xmp: xmp ? new TextDecoder().decode(xmp) : null,
+    iptc: data(TIFF_IPTC_TAG),
+    photoshop: data(TIFF_PHOTOSHOP_TAG),
+  };
+};
+
+// IFD0, the Exif and GPS IFDs (their raw entries) and the XMP, IPTC and
+// Photoshop tag data of a TIFF as [{name, data}], for telling which parts a
+// write changed
+export const readTiffBlocks = (tiffBytes) => {
+  const tiff = tiffView(tiffBytes);
+  const entriesData = (entries) =>
+    concatBytes(
+      entries.map(({ tag, type, count, field }) => {
+        const entry = new Uint8Array(12);
+        const view = new DataView(entry.buffer);
+        view.setUint16(0, tag, tiff.le);
+        view.setUint16(2, type, tiff.le);
+        view.setUint32(4, count, tiff.le);
+        entry.set(field, 8);
+        return entry;
+      })
+    );
+  const { entries } = readIfd(tiff, tiff.view.getUint32(4, tiff.le));
+  const blocks = [{ name: "IFD0", data: entriesData(entries) }];
+  for (const [name, pointerTag] of Object.entries(SUB_IFD_TAGS)) {
+    const pointer = entries.find((e) => e.tag === pointerTag);
+    if (!pointer) continue;
+    const offset = readOffset(pointer.field, tiff.le);
+    blocks.push({
+      name: `${name} IFD`,
+      data: entriesData(readIfd(tiff, offset).entries),
+    });
+  }
+  for (const [name, tag] of [
+    ["XMP", TIFF_XMP_TAG],
+    ["IPTC", TIFF_IPTC_TAG],
+    ["Photoshop", TIFF_PHOTOSHOP_TAG],
+  ]) {
+    const entry = entries.find((e) => e.tag === tag);
+    if (entry) {
+      blocks.push({ name: `${name} (${tag})`, data: entryData(tiff, entry) });
+    }
+  }
+  return blocks;
+};
+
+// Encode a piexif-style value ({type: piexif type name, value}) in the
+// file's byte order as {type, count, data}
+const encodeValue = ({ type, value }, le) => {
+  const { id, size } = TYPES[type];
+  let items;
+  if (type === "Ascii") {
+    const text = value.toString().replace(/\0+$/, "");
+    items = [...Array.from(text, (c) => c.charCodeAt(0) & 0xff), 0];
+  } else if (type === "Undefined" && typeof value === "string") {
+    items = Array.from(value, (c) => c.charCodeAt(0) & 0xff);
+  } else if (value instanceof Uint8Array) {
+    items = Array.from(value);
+  } else if (type === "Rational" || type === "SRational") {
+    items = Array.isArray(value[0]) ? value : [value];
+  } else {
+    items = Array.isArray(value) ? value : [value];
+  }
+  const data = new Uint8Array(items.length * size);
+  const view = new DataView(data.buffer);
+  items.forEach((v, i) => {
+    const p = i * size;
+    if (size === 1) data[p] = v;
+    else if (type === "Short") view.setUint16(p, v, le);
+    else if (type === "Long") view.setUint32(p, v, le);
+    else if (type === "SLong") view.setInt32(p, v, le);
+    else if (type === "Rational") {
+      view.setUint32(p, v[0], le);
+      view.setUint32(p + 4, v[1], le);
+    } else {
+      view.setInt32(p, v[0], le);
+      view.setInt32(p + 4, v[1], le);
+    }
+  });
+  return { type: id, count: items.length, data };
+};
+
+// Update tags of a TIFF without moving any existing data: changed IFDs are
+// written again after the end of the file, with unchanged entries pointing
+// at their old values, and the header is pointed at the new IFD0. Strips,
+// tiles and the following pages are left as they are.
+// `changes` maps "0th", "Exif" and "GPS" to {tag: {type, value} | null},
+// null removing the tag; values use piexif's type names and value forms.
+export const writeTiffTags = (tiffBytes, changes) => {
+  const tiff = tiffView(tiffBytes);
+  const { le } = tiff;
+  const parts = [tiffBytes];
+  let end = tiffBytes.length;
+  // Values and IFDs must start on a word boundary
+  const append = (data) => {
+    if (end % 2) {
+      parts.push(new Uint8Array(1));
+      end++;
+    }
+    const at = end;
+    parts.push(data);
+    end += data.length;
+    return at;
+  };
+  const u32 = (n) => {
+    const b = new Uint8Array(4);
+    new DataView(b.buffer).setUint32(0, n, le);
+    return b;
+  };
+  // Entry for a change given as {type, value} or already encoded
+  const entryFor = (tag, change) => {
+    const { type, count, data } = change.data
+      ? change
+      : encodeValue(change, le);
+    const field = new Uint8Array(4);
+    if (data.length <= 4) field.set(data);
+    else field.set(u32(append(data)));
+    return { tag, type, count, field };
+  };
+  const writeIfd = (entries, next) => {
+    const sorted = [...entries].sort((a, b) => a.tag - b.tag);
+    const ifd = new Uint8Array(2 + sorted.length * 12 + 4);
+    const view = new DataView(ifd.buffer);
+    view.setUint16(0, sorted.length, le);
+    sorted.forEach(({ tag, type, count, field }, i) => {
+      const p = 2 + i * 12;
+      view.setUint16(p, tag, le);
+      view.setUint16(p + 2, type, le);
+      view.setUint32(p + 4, count, le);
+      ifd.set(field, p + 8);
+    });
+    view.setUint32(2 + sorted.length * 12, next, le);
+    return append(ifd);
+  };
+  const applyChanges = (entries, ifdChanges = {}) => {
+    const byTag = new Map(entries.map((e) => [e.tag, e]));
+    for (const [tag, change] of Object.entries(ifdChanges)) {
+      if (change === null) byTag.delete(Number(tag));
+      else byTag.set(Number(tag), entryFor(Number(tag), change));
+    }
+    return [...byTag.values()];
+  };
+
+  const ifd0Offset = tiff.view.getUint32(4, le);
+  const ifd0 = readIfd(tiff, ifd0Offset);
+  const ifd0Changes = { ...changes["0th"] };
+  for (const [name, pointerTag] of Object.entries(SUB_IFD_TAGS)) {
+    if (!Object.keys(changes[name] || {}).length) continue;
+    const pointer = ifd0.entries.find((e) => e.tag === pointerTag);
+    const entries = pointer
+      ? readIfd(tiff, readOffset(pointer.field, le)).entries
+      : [];
+    const offset = writeIfd(applyChanges(entries, changes[name]), 0);
+    ifd0Changes[pointerTag] = encodeValue({ type: "Long", value: offset }, le);
+  }
+  const newIfd0 = writeIfd(applyChanges(ifd0.entries, ifd0Changes), ifd0.next);
+  const out = concatBytes(parts);
+  new DataView(out.buffer).setUint32(4, newIfd0, le);
+  return out;
+};
@@ -0,0 +1,150 @@
+import { concatBytes, utf8 } from "./bytes.js";
+
+// VP8X feature flags
+const ICC_FLAG = 0x20;
+const ALPHA_FLAG = 0x10;
+const EXIF_FLAG = 0x08;
+const XMP_FLAG = 0x04;
+
+const EXIF_HEADER = "Exif\0\0";
+
+const fourCC = (bytes, offset) =>
+  String.fromCharCode(...bytes.subarray(offset, offset + 4));
+
+// WebP files are RIFF containers of type WEBP
+export const isWebp = (bytes) =>
+  bytes.length >= 12 &&
+  fourCC(bytes, 0) === "RIFF" &&
+  fourCC(bytes, 8) === "WEBP";
+
+// Split a WebP into [{type, data}]
+export const readWebpChunks = (webpBytes) => {
+  const view = new DataView(webpBytes.buffer, webpBytes.byteOffset);
+  const chunks = [];
+  let offset = 12;
+  while (offset + 8 <= webpBytes.length) {
+    const size = view.getUint32(offset + 4, true);
+    chunks.push({
+      type: fourCC(webpBytes, offset),
+      data: webpBytes.subarray(offset + 8, offset + 8 + size),
+    });
+    // Chunks are padded to an even size
+    offset += 8 + size + (size % 2);
+  }
+  return chunks;
+};
+
+const buildChunk = (type, data) => {
+  const chunk = new Uint8Array(8 + data.length + (data.length % 2));
+  chunk.set(utf8(type), 0);
+  new DataView(chunk.buffer).setUint32(4, data.length, true);
+  chunk.set(data, 8);
+  return chunk;
+};
+
+// RIFF container for [{type, data}] chunks
+const buildWebp = (chunks) => {
+  const body = concatBytes([
+    utf8("WEBP"),
+    ...chunks.map((c) => buildChunk(c.type, c.data)),
+  ]);
+  const header = new Uint8Array(8);
+  header.set(utf8("RIFF"), 0);
+  new DataView(header.buffer).setUint32(4, body.length, true);
+  return concatBytes([header, body]);
+};
+
+// Canvas size and alpha of a simple (VP8 or VP8L) WebP, from the bitstream
+// header, for the VP8X chunk that metadata requires
+const simpleImageInfo = (chunks) => {
+  const vp8l = chunks.find((c) => c.type === "VP8L");
+  if (vp8l) {
+    const bits = new DataView(
+      vp8l.data.buffer,
+      vp8l.data.byteOffset + 1
+    ).getUint32(0, true);
+    return {
+      width: (bits & 0x3fff) + 1,
+      height: ((bits >>> 14) & 0x3fff) + 1,
+      alpha: ((bits >>> 28) & 1) === 1,
+    };
+  }
+  const vp8 = chunks.find((c) => c.type === "VP8 ");
+  if (!vp8) throw new Error("WebP file has no image data.");
+  const view = new DataView(vp8.data.buffer, vp8.data.byteOffset);
+  return {
+    width: view.getUint16(6, true) & 0x3fff,
+    height: view.getUint16(8, true) & 0x3fff,
+    alpha: false,
+  };
+};
+
+const buildVp8x = ({ width, height, alpha }) => {
+  const data = new Uint8Array(10);
+  data[0] = alpha ? ALPHA_FLAG : 0;
+  for (let i = 0; i < 3; i++) {
+    data[4 + i] = ((width - 1) >> (8 * i)) & 0xff;
+    data[7 + i] = ((height - 1) >> (8 * i)) & 0xff;
+  }
+  return data;
+};
+
+// EXIF (TIFF-structured) and XMP packet of a WebP
+export const readWebpMetadata = (webpBytes) => {
+  const chunks = readWebpChunks(webpBytes);
+  let exif = chunks.find((c) => c.type === "EXIF")?.data || null;
+  // Some writers keep the JPEG "Exif\0\0" prefix
+  if (exif && fourCC(exif, 0) === "Exif") {
+    exif = exif.subarray(EXIF_HEADER.length);
+  }
+  const xmp = chunks.find((c) => c.type === "XMP ");
+  return {
+    exif,
+    xmp: xmp ? new TextDecoder().decode(xmp.data) : null,
+  };
+};
+
+// Replace a WebP's EXIF and XMP chunks, converting a simple file to the
+// extended (VP8X) layout when needed and keeping the VP8X flags in step.
+// Image chunks are copied unchanged. A null value removes the chunk.
+export const writeWebpMetadata = (webpBytes, { exif, xmp }) => {
+  const chunks = readWebpChunks(webpBytes).filter(
+    (c) => c.type !== "EXIF" && c.type !== "XMP "
+  );
+  const existing = chunks.find((c) => c.type === "VP8X");
+  const vp8x = existing
+    ? existing.data.slice()
+    : buildVp8x(simpleImageInfo(chunks));
+  vp8x[0] &= ~(EXIF_FLAG | XMP_FLAG);
+  if (exif) vp8x[0] |= EXIF_FLAG;
+  if (xmp) vp8x[0] |= XMP_FLAG;
+  // VP8X first, then the image chunks, then EXIF and XMP last
+  return buildWebp([
+    { type: "VP8X", data: vp8x },
+    ...chunks.filter((c) => c.type !== "VP8X"),
+    ...(exif ? [{ type: "EXIF", data: exif }] : []),
+    ...(xmp ? [{ type: "XMP ", data: utf8(xmp) }] : []),
+  ]);
+};
+
+// Remove a WebP's ICC profile (ICCP chunk) and clear its VP8X flag; returns
+// { bytes, count }
+export const removeWebpIccProfile = (webpBytes) => {
+  const chunks = readWebpChunks(webpBytes);
+  if (!chunks.some((c) => c.type === "ICCP")) {
+    return { bytes: webpBytes, count: 0 };
+  }
+  return {
+    bytes: buildWebp(
+      chunks
+        .filter((c) => c.type !== "ICCP")
+        .map((c) => {
+          if (c.type !== "VP8X") return c;
+          const data = c.data.slice();
+          data[0] &= ~ICC_FLAG;
+          return { type: c.type, data };
+        })
+    ),
+    count: 1,
+  };
+};
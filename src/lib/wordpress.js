@@ -0,0 +1,178 @@
+import { bytesToBinaryString, utf8 } from "./bytes.js";
+
+// Publish target settings. The application password is not part of them:
+// it is asked for each session and never saved.
+export const WORDPRESS_DEFAULTS = {
+  siteUrl: "",
+  username: "",
+  dryRun: true,
+  retries: 2,
+};
+
+// Statuses worth another attempt: timeouts, rate limiting and server errors
+const RETRY_STATUSES = [408, 429, 500, 502, 503, 504];
+
+// An upload is not idempotent: after a timeout, a server error or a lost
+// connection the file may already be in the library, and sending it again
+// would add a copy. It is only retried when the answer says nothing was
+// stored: rate limiting, or a 503 that names a time to come back.
+const uploadRetryable = (response) =>
+  response.status === 429 ||
+  (response.status === 503 && response.headers.has("Retry-After"));
+
+// Wait before the first retry; doubled for each one after it
+const RETRY_DELAY_MS = 1000;
+
+const ALT_TEXT_TARGET = "xmp:Iptc4xmpCore:AltTextAccessibility";
+
+// Media endpoint of the WordPress REST API for a site's address
+export const mediaEndpoint = (siteUrl = "") => {
+  const base = siteUrl.trim().replace(/\/+$/, "");
+  if (!/^https?:\/\/[^/]/i.test(base)) {
+    throw new Error("WordPress site URL must start with http:// or https://.");
+  }
+  return `${base}/wp-json/wp/v2/media`;
+};
+
+// Media library fields for a row's values (from rowValues): the text IPTC
+// gets for title, caption and description, and the Alt text. Empty values
+// are left out so WordPress keeps what it read from the file.
+export const mediaFields = (values) =>
+  Object.fromEntries(
+    Object.entries({
+      title: values.title,
+      caption: values.caption,
+      description: values.description,
+      alt_text: values.targets.find((t) => t.target.id === ALT_TEXT_TARGET)
+        ?.value,
+    }).filter(([, value]) => value)
+  );
+
+// HTTP Basic credentials; application passwords work with or without their
+// spaces
+const basicAuth = (username, password) =>
+  `Basic ${btoa(bytesToBinaryString(utf8(`${username}:${password}`)))}`;
+
+// Header values must be ASCII; output names already are, this only guards
+// against quotes and anything else
+const contentDisposition = (fileName) =>
+  `attachment; filename="${fileName.replace(/[^\x20-\x7e]|"/g, "-")}"`;
+
+// Resolve after `ms`, or reject as soon as `signal` aborts. The abort
+// listener is removed once the timer fires, so retries do not pile them up
+// on a signal that outlives the batch.
+const wait = (ms, signal) =>
+  new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+
+// Send a request and return its JSON body. Network errors and the statuses
+// above are retried up to `retries` times, honoring a Retry-After header;
+// other failures throw with the message WordPress gave. `retryable`, when
+// given, decides instead which failed responses are retried, and network
+// errors are not.
+const send = async (url, init, { retries, signal, onRetry }, retryable) => {
+  for (let attempt = 0; ; attempt++) {
+    let error;
+    let delay = RETRY_DELAY_MS * 2 ** attempt;
+    try {
+      const response = await fetch(url, { ...init, signal });
+      const body = await response.json().catch(() => null);
+      if (response.ok) return body;
+      error = new Error(
+        body?.message
+          ? `WordPress: ${body.message} (${response.status})`
+          : `WordPress answered ${response.status} ${response.statusText}.`
+      );
+      if (
+        retryable
+          ? !retryable(response)
+          : !RETRY_STATUSES.includes(response.status)
+      ) {
+        throw error;
+      }
+      const retryAfter = Number(response.headers.get("Retry-After"));
+      if (retryAfter > 0) delay = Math.max(delay, retryAfter * 1000);
+    } catch (err) {
+      if (err === error || signal?.aborted) throw err;
+      error = new Error(`Could not reach WordPress: ${err.message}`);
+      if (retryable) throw error;
+    }
+    if (attempt >= retries) throw error;
+    onRetry?.(attempt + 1, error);
+    await wait(delay, signal);
+  }
+};
+
+// Upload a file to a WordPress media library and set its fields.
+// `site` is { siteUrl, username, password }, the password being an
+// application password; `media` is { fileName, data (Blob or bytes), mime,
+// fields (from mediaFields) } and may carry the `mediaId` of an earlier
+// upload whose fields failed to save, so a retry does not upload it twice.
+// Options: dryRun (send nothing; return what would be sent), retries (the
+// upload itself only on answers that say nothing was stored),
+// signal, onRetry(attempt, error). Returns { id, url, link }; a failed
+// field update throws with the uploaded `mediaId` attached.
+export const publishMedia = async (
+  site,
+  { fileName, data, mime, fields, mediaId = null },
+  { dryRun = false, retries = WORDPRESS_DEFAULTS.retries, signal, onRetry } = {}
+) => {
+  const endpoint = mediaEndpoint(site.siteUrl);
+  if (dryRun) {
+    return { dryRun: true, endpoint, fileName, fields };
+  }
+  if (!site.username || !site.password) {
+    throw new Error(
+      "WordPress username and application password are required."
+    );
+  }
+  const authorization = basicAuth(site.username, site.password);
+  const options = { retries, signal, onRetry };
+  let media = { id: mediaId };
+  if (!mediaId) {
+    media = await send(
+      endpoint,
+      {
+        method: "POST",
+        headers: {
+          Authorization: authorization,
+          "Content-Type": mime,
+          "Content-Disposition": contentDisposition(fileName),
+        },
+        body: data,
+      },
+      options,
+      uploadRetryable
+    );
+    if (!media?.id) throw new Error("WordPress did not return a media ID.");
+  }
+  if (Object.keys(fields).length) {
+    try {
+      media = await send(
+        `${endpoint}/${media.id}`,
+        {
+          method: "POST",
+          headers: {
+            Authorization: authorization,
+            "Content-Type": "application/json",
+          },
+          body: JSON.stringify(fields),
+        },
+        options
+      );
+    } catch (err) {
+      err.mediaId = media.id;
+      throw err;
+    }
+  }
+  return { id: media.id, url: media.source_url || "", link: media.link || "" };
+};
@@ -0,0 +1,579 @@
+import { concatBytes, md5Hex, utf8 } from "./bytes.js";
+import { METADATA_TARGETS, XMP_NAMESPACES } from "./targets.js";
+import { splitList, xmlEscape } from "./text.js";
+
+// DOM implementation used to parse and serialize XMP. Browsers provide one
+// globally; Node callers and Web Workers pass one in through configureXml
+// (e.g. @xmldom/xmldom).
+const xmlImpl = {
+  DOMParser: globalThis.DOMParser,
+  XMLSerializer: globalThis.XMLSerializer,
+};
+
+export const configureXml = ({ DOMParser, XMLSerializer }) => {
+  xmlImpl.DOMParser = DOMParser;
+  xmlImpl.XMLSerializer = XMLSerializer;
+};
+
+const RDF_NS = "http://www.w3.org/1999/02/22-rdf-syntax-ns#";
+
+const DC_NS = "http://purl.org/dc/elements/1.1/";
+
+const LR_NS = "http://ns.adobe.com/lightroom/1.0/";
+
+const XMP_EXT_SIG = "http://ns.adobe.com/xmp/extension/\0";
+
+const XMP_NOTE_NS = "http://ns.adobe.com/xmp/note/";
+
+// Largest packet that fits one APP1 segment: 65535 - 2 length bytes - 29 byte preamble
+const MAX_XMP_PACKET = 65504;
+
+// Extended XMP chunk: 65535 - 2 - 35 byte signature - 32 byte GUID - 4 full length - 4 offset
+const MAX_XMP_EXT_CHUNK = 65458;
+
+// Serialize one mapped XMP property according to its RDF type
+const buildXmpProperty = (target, value) => {
+  const tag = `${target.ns}:${target.name}`;
+  if (target.type === "alt") {
+    return `<${tag}><rdf:Alt><rdf:li xml:lang="x-default">${xmlEscape(
+      value
+    )}</rdf:li></rdf:Alt></${tag}>`;
+  }
+  if (target.type === "bag" || target.type === "seq") {
+    const container = target.type === "bag" ? "rdf:Bag" : "rdf:Seq";
+    const items = splitList(value)
+      .map((v) => `<rdf:li>${xmlEscape(v)}</rdf:li>`)
+      .join("");
+    return `<${tag}><${container}>${items}</${container}></${tag}>`;
+  }
+  return `<${tag}>${xmlEscape(value)}</${tag}>`;
+};
+
+// rdf:li entries of a language alternative, x-default first. A plain string
+// is the x-default entry alone.
+const langAltItems = (value) => {
+  const { "x-default": xDefault = "", ...langs } =
+    typeof value === "string" ? { "x-default": value } : value || {};
+  return [["x-default", xDefault], ...Object.entries(langs)]
+    .map(
+      ([lang, text]) =>
+        `<rdf:li xml:lang="${xmlEscape(lang)}">${xmlEscape(text)}</rdf:li>`
+    )
+    .join("");
+};
+
+// rdf:li entries of a bag
+const bagItems = (values) =>
+  (values || [])
+    .filter(Boolean)
+    .map((v) => `<rdf:li>${xmlEscape(v)}</rdf:li>`)
+    .join("");
+
+// Build minimal XMP packet for Title/Description/Keywords (Adobe-compatible)
+// plus any mapped XMP properties ([{target, value}]). Title and description
+// are a string or language alternatives ({"x-default": ..., en: ...});
+// `hierarchy` holds "A|B|C" keyword paths for lr:hierarchicalSubject.
+export const buildXmpXml = (
+  title,
+  description,
+  keywordsArr,
+  extras = [],
+  hierarchy = []
+) => {
+  const props = extras.filter((e) => e.target.kind === "xmp" && e.value);
+  const extraNs = [...new Set(props.map((e) => e.target.ns))]
+    .filter((ns) => ns !== "dc" && ns !== "xmp")
+    .map((ns) => ` xmlns:${ns}="${XMP_NAMESPACES[ns]}"`)
+    .join("");
+  const inner =
+    `<x:xmpmeta xmlns:x="adobe:ns:meta/">` +
+    `<rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">` +
+    `<rdf:Description rdf:about="" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:xmp="http://ns.adobe.com/xap/1.0/" xmlns:lr="${LR_NS}"${extraNs}>` +
+    `<dc:title><rdf:Alt>${langAltItems(title)}</rdf:Alt></dc:title>` +
+    `<dc:description><rdf:Alt>${langAltItems(
+      description
+    )}</rdf:Alt></dc:description>` +
+    `<dc:subject><rdf:Bag>${bagItems(keywordsArr)}</rdf:Bag></dc:subject>` +
+    // Always written so a merge drops paths the new keywords no longer have
+    `<lr:hierarchicalSubject><rdf:Bag>${bagItems(
+      hierarchy
+    )}</rdf:Bag></lr:hierarchicalSubject>` +
+    props.map((e) => buildXmpProperty(e.target, e.value)).join("") +
+    `</rdf:Description>` +
+    `</rdf:RDF>` +
+    `</x:xmpmeta>`;
+  // Include xpacket envelope for maximum Adobe compatibility
+  return (
+    `<?xpacket begin="\uFEFF" id="W5M0MpCehiHzreSzNTczkc9d"?>` +
+    inner +
+    `<?xpacket end="w"?>`
+  );
+};
+
+// Construct APP1 XMP segment ("http://ns.adobe.com/xap/1.0/\0" + xml)
+export const buildXmpSegment = (xml) => {
+  const preamble = utf8("http://ns.adobe.com/xap/1.0/\0");
+  const xmlBytes = utf8(xml);
+  const payload = new Uint8Array(preamble.length + xmlBytes.length);
+  payload.set(preamble, 0);
+  payload.set(xmlBytes, preamble.length);
+  const length = payload.length + 2; // includes the two length bytes
+  const seg = new Uint8Array(2 + 2 + payload.length);
+  seg[0] = 0xff; // APP1
+  seg[1] = 0xe1;
+  seg[2] = (length >> 8) & 0xff;
+  seg[3] = length & 0xff;
+  seg.set(payload, 4);
+  return seg;
+};
+
+// Find existing XMP APP1 segment; returns {start, totalLen} or null
+export const findExistingXmp = (jpegBytes) => {
+  if (!(jpegBytes[0] === 0xff && jpegBytes[1] === 0xd8)) return null;
+  let offset = 2;
+  const sig = utf8("http://ns.adobe.com/xap/1.0/\0");
+  while (offset + 4 <= jpegBytes.length) {
+    if (jpegBytes[offset] !== 0xff) break;
+    const type = jpegBytes[offset + 1];
+    if (type === 0xda) break; // SOS
+    if (type === 0xd8 || type === 0xd9) {
+      offset += 2;
+      continue;
+    }
+    const len = (jpegBytes[offset + 2] << 8) | jpegBytes[offset + 3];
+    if (type === 0xe1) {
+      // Check for XMP preamble
+      let ok = true;
+      for (let i = 0; i < sig.length; i++) {
+        if (jpegBytes[offset + 4 + i] !== sig[i]) {
+          ok = false;
+          break;
+        }
+      }
+      if (ok) {
+        // 'len' is the segment length including its own two length bytes.
+        // Total bytes to remove = marker (2) + len
+        return { start: offset, totalLen: 2 + len };
+      }
+    }
+    offset += 2 + len;
+  }
+  return null;
+};
+
+// Replace an existing segment with new bytes
+const replaceSegment = (jpegBytes, start, totalLen, newSeg) => {
+  const out = new Uint8Array(jpegBytes.length - totalLen + newSeg.length);
+  out.set(jpegBytes.slice(0, start), 0);
+  out.set(newSeg, start);
+  out.set(jpegBytes.slice(start + totalLen), start + newSeg.length);
+  return out;
+};
+
+// Insert XMP segment after existing APP segments and before SOS for better compatibility
+export const insertXmpIntoJpeg = (jpegBytes, xmpSeg) => {
+  if (!(jpegBytes[0] === 0xff && jpegBytes[1] === 0xd8)) return jpegBytes;
+  const existing = findExistingXmp(jpegBytes);
+  if (existing) {
+    return replaceSegment(jpegBytes, existing.start, existing.totalLen, xmpSeg);
+  }
+  let offset = 2; // start after SOI
+  let insertPos = offset; // default insertion right after SOI
+  while (offset + 4 <= jpegBytes.length) {
+    const marker = jpegBytes[offset];
+    // Stop if not a marker prefix
+    if (marker !== 0xff) break;
+    const type = jpegBytes[offset + 1];
+    if (type === 0xda) {
+      // SOS: stop scanning; we must insert before this
+      break;
+    }
+    // Standalone markers without length: skip only 2 bytes
+    if (type === 0xd8 || type === 0xd9) {
+      offset += 2;
+      continue;
+    }
+    const len = (jpegBytes[offset + 2] << 8) | jpegBytes[offset + 3];
+    // APPn markers range 0xE0 - 0xEF; keep track of last APP position
+    if (type >= 0xe0 && type <= 0xef) {
+      insertPos = offset + 2 + len; // end of this APP segment
+    }
+    offset += 2 + len;
+  }
+  const out = new Uint8Array(jpegBytes.length + xmpSeg.length);
+  out.set(jpegBytes.slice(0, insertPos), 0);
+  out.set(xmpSeg, insertPos);
+  out.set(jpegBytes.slice(insertPos), insertPos + xmpSeg.length);
+  return out;
+};
+
+// Every entry of an rdf:Alt language alternative as {lang: value}
+const readLangAltMap = (el) => {
+  const out = {};
+  if (!el) return out;
+  for (const li of Array.from(el.getElementsByTagNameNS(RDF_NS, "li"))) {
+    const lang = li.getAttribute("xml:lang");
+    if (lang) out[lang.toLowerCase()] = li.textContent;
+  }
+  return out;
+};
+
+// Pick the x-default (or first) entry of an rdf:Alt language alternative
+const readLangAlt = (el) => {
+  if (!el) return "";
+  const items = Array.from(el.getElementsByTagNameNS(RDF_NS, "li"));
+  const preferred =
+    items.find((li) => li.getAttribute("xml:lang") === "x-default") || items[0];
+  return preferred ? preferred.textContent : "";
+};
+
+// Read one mapped XMP property from a parsed packet
+const readXmpTarget = (doc, target) => {
+  const uri = XMP_NAMESPACES[target.ns];
+  const el = doc.getElementsByTagNameNS(uri, target.name)[0];
+  if (!el) {
+    // Simple properties may be serialized as rdf:Description attributes
+    for (const d of Array.from(
+      doc.getElementsByTagNameNS(RDF_NS, "Description")
+    )) {
+      if (d.hasAttributeNS(uri, target.name)) {
+        return d.getAttributeNS(uri, target.name);
+      }
+    }
+    return "";
+  }
+  if (target.type === "alt") return readLangAlt(el);
+  if (target.type === "bag" || target.type === "seq") {
+    return Array.from(el.getElementsByTagNameNS(RDF_NS, "li"))
+      .map((li) => li.textContent)
+      .join("; ");
+  }
+  return el.textContent;
+};
+
+const parseXmp = (xml) => {
+  let doc;
+  try {
+    doc = new xmlImpl.DOMParser().parseFromString(xml, "application/xml");
+  } catch {
+    doc = null;
+  }
+  if (!doc || doc.getElementsByTagName("parsererror").length) {
+    throw new Error("Existing XMP packet is not valid XML.");
+  }
+  return doc;
+};
+
+// Collect Extended XMP APP1 segments and reassemble the packet with the given GUID
+const readExtendedXmp = (jpegBytes, guid) => {
+  const sig = utf8(XMP_EXT_SIG);
+  let buffer = null;
+  let offset = 2;
+  while (offset + 4 <= jpegBytes.length) {
+    if (jpegBytes[offset] !== 0xff) break;
+    const type = jpegBytes[offset + 1];
+    if (type === 0xda) break; // SOS
+    if (type === 0xd8 || type === 0xd9) {
+      offset += 2;
+      continue;
+    }
+    const len = (jpegBytes[offset + 2] << 8) | jpegBytes[offset + 3];
+    if (type === 0xe1) {
+      let ok = true;
+      for (let i = 0; i < sig.length; i++) {
+        if (jpegBytes[offset + 4 + i] !== sig[i]) {
+          ok = false;
+          break;
+        }
+      }
+      const p = offset + 4 + sig.length;
+      if (ok && new TextDecoder().decode(jpegBytes.slice(p, p + 32)) === guid) {
+        const view = new DataView(
+          jpegBytes.buffer,
+          jpegBytes.byteOffset + p + 32,
+          8
+        );
+        const fullLength = view.getUint32(0);
+        const chunkOffset = view.getUint32(4);
+        if (!buffer) buffer = new Uint8Array(fullLength);
+        buffer.set(
+          jpegBytes
+            .slice(p + 40, offset + 2 + len)
+            .subarray(0, Math.max(0, fullLength - chunkOffset)),
+          chunkOffset
+        );
+      }
+    }
+    offset += 2 + len;
+  }
+  return buffer ? new TextDecoder().decode(buffer) : null;
+};
+
+// Parse the main XMP packet, folding in its Extended XMP (if any) as extra rdf:Description nodes
+export const loadXmpDocument = (jpegBytes) => {
+  const existing = findExistingXmp(jpegBytes);
+  if (!existing) return null;
+  const preambleLen = utf8("http://ns.adobe.com/xap/1.0/\0").length;
+  const xml = new TextDecoder().decode(
+    jpegBytes.slice(
+      existing.start + 4 + preambleLen,
+      existing.start + existing.totalLen
+    )
+  );
+  const doc = parseXmp(xml);
+  const rdf = doc.getElementsByTagNameNS(RDF_NS, "RDF")[0];
+  for (const desc of Array.from(
+    doc.getElementsByTagNameNS(RDF_NS, "Description")
+  )) {
+    const guid = desc.getAttributeNS(XMP_NOTE_NS, "HasExtendedXMP");
+    if (!guid) continue;
+    desc.removeAttributeNS(XMP_NOTE_NS, "HasExtendedXMP");
+    // Drop the now unused xmpNote declaration so it is not carried forward
+    for (const attr of Array.from(desc.attributes)) {
+      if (attr.name.startsWith("xmlns:") && attr.value === XMP_NOTE_NS) {
+        desc.removeAttribute(attr.name);
+      }
+    }
+    const extXml = readExtendedXmp(jpegBytes, guid);
+    if (!extXml || !rdf) continue;
+    const extDoc = parseXmp(extXml);
+    for (const extDesc of Array.from(
+      extDoc.getElementsByTagNameNS(RDF_NS, "Description")
+    )) {
+      rdf.appendChild(doc.importNode(extDesc, true));
+    }
+  }
+  return doc;
+};
+
+// dc:title/dc:description/dc:subject, lr:hierarchicalSubject and mapped properties of an XMP document
+const xmpFields = (doc) => {
+  const bagValues = (el) =>
+    el
+      ? Array.from(el.getElementsByTagNameNS(RDF_NS, "li")).map(
+          (li) => li.textContent
+        )
+      : [];
+  const targets = {};
+  for (const t of METADATA_TARGETS) {
+    if (t.kind === "xmp") targets[t.id] = readXmpTarget(doc, t);
+  }
+  return {
+    targets,
+    title: readLangAlt(doc.getElementsByTagNameNS(DC_NS, "title")[0]),
+    description: readLangAlt(
+      doc.getElementsByTagNameNS(DC_NS, "description")[0]
+    ),
+    titleAlt: readLangAltMap(doc.getElementsByTagNameNS(DC_NS, "title")[0]),
+    descriptionAlt: readLangAltMap(
+      doc.getElementsByTagNameNS(DC_NS, "description")[0]
+    ),
+    subject: bagValues(doc.getElementsByTagNameNS(DC_NS, "subject")[0]),
+    hierarchicalSubject: bagValues(
+      doc.getElementsByTagNameNS(LR_NS, "hierarchicalSubject")[0]
+    ),
+  };
+};
+
+// Read the fields from an existing XMP APP1 segment
+export const readXmpFields = (jpegBytes) => {
+  const doc = loadXmpDocument(jpegBytes);
+  return doc ? xmpFields(doc) : null;
+};
+
+// Read the fields from an XMP packet stored outside JPEG (PNG, WebP, TIFF)
+export const readXmpPacket = (xml) => xmpFields(parseXmp(xml));
+
+// Merge a freshly built packet into an existing XMP document: every property the
+// fresh packet sets replaces the same property wherever it appears; all other
+// namespaces and properties are kept as they are.
+const mergeXmpDocument = (doc, freshXml) => {
+  const fresh = parseXmp(freshXml);
+  let target = doc.getElementsByTagNameNS(RDF_NS, "Description")[0];
+  if (!target) {
+    const rdf = doc.getElementsByTagNameNS(RDF_NS, "RDF")[0];
+    if (!rdf) return fresh;
+    target = doc.createElementNS(RDF_NS, "rdf:Description");
+    target.setAttributeNS(RDF_NS, "rdf:about", "");
+    rdf.appendChild(target);
+  }
+  const freshDesc = fresh.getElementsByTagNameNS(RDF_NS, "Description")[0];
+  for (const prop of Array.from(freshDesc.children)) {
+    const ns = prop.namespaceURI;
+    const name = prop.localName;
+    for (const desc of Array.from(
+      doc.getElementsByTagNameNS(RDF_NS, "Description")
+    )) {
+      if (desc.hasAttributeNS(ns, name)) desc.removeAttributeNS(ns, name);
+      for (const child of Array.from(desc.children)) {
+        if (child.namespaceURI === ns && child.localName === name) {
+          desc.removeChild(child);
+        }
+      }
+    }
+    target.appendChild(doc.importNode(prop, true));
+  }
+  return doc;
+};
+
+// Wrap serialized x:xmpmeta in the xpacket envelope
+const serializeXmpPacket = (doc) =>
+  `<?xpacket begin="\uFEFF" id="W5M0MpCehiHzreSzNTczkc9d"?>` +
+  new xmlImpl.XMLSerializer().serializeToString(doc.documentElement) +
+  `<?xpacket end="w"?>`;
+
+// Serialize an XMP document, moving the largest properties into an Extended XMP
+// packet until the main packet fits in one APP1 segment.
+const splitXmpDocument = (doc) => {
+  let main = serializeXmpPacket(doc);
+  if (utf8(main).length <= MAX_XMP_PACKET) return { main, extended: null };
+
+  const extDoc = parseXmp(
+    `<x:xmpmeta xmlns:x="adobe:ns:meta/"><rdf:RDF xmlns:rdf="${RDF_NS}">` +
+      `<rdf:Description rdf:about=""/></rdf:RDF></x:xmpmeta>`
+  );
+  const extDesc = extDoc.getElementsByTagNameNS(RDF_NS, "Description")[0];
+  const descriptions = Array.from(
+    doc.getElementsByTagNameNS(RDF_NS, "Description")
+  );
+  // Reserve room for the GUID reference before measuring
+  descriptions[0].setAttributeNS(
+    XMP_NOTE_NS,
+    "xmpNote:HasExtendedXMP",
+    "0".repeat(32)
+  );
+  const serializer = new xmlImpl.XMLSerializer();
+  const props = descriptions
+    .flatMap((d) => Array.from(d.children))
+    .map((el) => ({ el, size: serializer.serializeToString(el).length }))
+    .sort((a, b) => b.size - a.size);
+  for (const { el } of props) {
+    extDesc.appendChild(extDoc.importNode(el, true));
+    el.parentNode.removeChild(el);
+    if (utf8(serializeXmpPacket(doc)).length <= MAX_XMP_PACKET) break;
+  }
+  const extended = serializer.serializeToString(extDoc.documentElement);
+  const guid = md5Hex(utf8(extended));
+  descriptions[0].setAttributeNS(XMP_NOTE_NS, "xmpNote:HasExtendedXMP", guid);
+  main = serializeXmpPacket(doc);
+  return { main, extended, guid };
+};
+
+// XMP packet for formats without JPEG's segment size limit (PNG, WebP,
+// TIFF): the fresh packet, merged into the existing one in merge mode
+export const buildXmpPacket = (existingXml, freshXml, merge) =>
+  merge && existingXml
+    ? serializeXmpPacket(mergeXmpDocument(parseXmp(existingXml), freshXml))
+    : freshXml;
+
+// Build the APP1 segments carrying an Extended XMP packet
+const buildXmpExtensionSegments = (extended, guid) => {
+  const sig = utf8(XMP_EXT_SIG);
+  const guidBytes = utf8(guid);
+  const data = utf8(extended);
+  const segs = [];
+  for (let off = 0; off < data.length; off += MAX_XMP_EXT_CHUNK) {
+    const chunk = data.subarray(off, off + MAX_XMP_EXT_CHUNK);
+    const payloadLen = sig.length + 32 + 8 + chunk.length;
+    const seg = new Uint8Array(4 + payloadLen);
+    seg[0] = 0xff; // APP1
+    seg[1] = 0xe1;
+    seg[2] = ((payloadLen + 2) >> 8) & 0xff;
+    seg[3] = (payloadLen + 2) & 0xff;
+    let p = 4;
+    seg.set(sig, p);
+    p += sig.length;
+    seg.set(guidBytes, p);
+    p += 32;
+    const view = new DataView(seg.buffer, p, 8);
+    view.setUint32(0, data.length);
+    view.setUint32(4, off);
+    p += 8;
+    seg.set(chunk, p);
+    segs.push(seg);
+  }
+  return segs;
+};
+
+// Build the main (and, when needed, extended) XMP APP1 segments as one byte run.
+// In merge mode the fresh packet is merged into the file's existing XMP.
+export const buildXmpSegments = (jpegBytes, freshXml, merge) => {
+  const existing = merge ? loadXmpDocument(jpegBytes) : null;
+  if (!existing && utf8(freshXml).length <= MAX_XMP_PACKET) {
+    return buildXmpSegment(freshXml);
+  }
+  const doc = existing
+    ? mergeXmpDocument(existing, freshXml)
+    : parseXmp(freshXml);
+  const { main, extended, guid } = splitXmpDocument(doc);
+  const segs = [buildXmpSegment(main)];
+  if (extended) segs.push(...buildXmpExtensionSegments(extended, guid));
+  return concatBytes(segs);
+};
+
+// Remove properties for which test(namespaceURI, localName) is true from every
+// rdf:Description, whether written as elements or attributes. Returns the
+// qualified names removed.
+export const removeXmpProperties = (doc, test) => {
+  const removed = [];
+  for (const desc of Array.from(
+    doc.getElementsByTagNameNS(RDF_NS, "Description")
+  )) {
+    for (const attr of Array.from(desc.attributes)) {
+      if (!attr.namespaceURI || !test(attr.namespaceURI, attr.localName)) {
+        continue;
+      }
+      desc.removeAttributeNode(attr);
+      removed.push(attr.name);
+    }
+    for (const child of Array.from(desc.children)) {
+      if (!test(child.namespaceURI, child.localName)) continue;
+      desc.removeChild(child);
+      removed.push(child.tagName);
+    }
+  }
+  return removed;
+};
+
+// removeXmpProperties on a packet (a PNG, WebP or TIFF file's XMP); returns
+// { xml, removed }, xml being the packet unchanged when nothing matched
+export const removeXmpPacketProperties = (xml, test) => {
+  const doc = parseXmp(xml);
+  const removed = removeXmpProperties(doc, test);
+  return { xml: removed.length ? serializeXmpPacket(doc) : xml, removed };
+};
+
+// Write a document from loadXmpDocument back as the file's XMP, replacing the
+// main packet and any Extended XMP
+export const replaceXmpDocument = (jpegBytes, doc) => {
+  const { main, extended, guid } = splitXmpDocument(doc);
+  const segs = [buildXmpSegment(main)];
+  if (extended) segs.push(...buildXmpExtensionSegments(extended, guid));
+  return insertXmpIntoJpeg(
+    removeXmpExtensionSegments(jpegBytes),
+    concatBytes(segs)
+  );
+};
+
+// Remove Extended XMP APP1 segments; they are rewritten together with the main packet
+export const removeXmpExtensionSegments = (jpegBytes) => {
+  if (!(jpegBytes[0] === 0xff && jpegBytes[1] === 0xd8)) return jpegBytes;
+  const sig = utf8(XMP_EXT_SIG);
+  const parts = [jpegBytes.slice(0, 2)];
+  let offset = 2;
+  while (offset + 4 <= jpegBytes.length) {
+    if (jpegBytes[offset] !== 0xff) break;
+    const type = jpegBytes[offset + 1];
+    if (type === 0xda) break; // SOS
+    const len = (jpegBytes[offset + 2] << 8) | jpegBytes[offset + 3];
+    const segEnd = offset + 2 + len;
+    let isExtension = type === 0xe1;
+    for (let i = 0; isExtension && i < sig.length; i++) {
+      if (jpegBytes[offset + 4 + i] !== sig[i]) isExtension = false;
+    }
+    if (!isExtension) parts.push(jpegBytes.slice(offset, segEnd));
+    offset = segEnd;
+  }
+  if (offset < jpegBytes.length) parts.push(jpegBytes.slice(offset));
+  return concatBytes(parts);
+};
@@ -0,0 +1,40 @@
+import { DOMParser, XMLSerializer } from "@xmldom/xmldom";
+import { verifyMetadata, writeMetadata } from "./lib/metadata.js";
+import { segmentChanges } from "./lib/report.js";
+import { stripMetadata } from "./lib/strip.js";
+import { configureXml } from "./lib/xmp.js";
+
+// Workers have no DOMParser, so XMP goes through xmldom as in the CLI
+configureXml({ DOMParser, XMLSerializer });
+
+// Receives the source image as an ArrayBuffer and transfers the updated bytes
+// back, with the labels of anything strip mode removed, the fields as read
+// back from the output (and those that differ from what was intended) and
+// the metadata segments the write changed
+self.onmessage = (e) => {
+  const { buffer, values, options } = e.data;
+  const { strip, ...writeOptions } = options || {};
+  try {
+    let bytes = new Uint8Array(buffer);
+    let removed = [];
+    if (strip) ({ bytes, removed } = stripMetadata(bytes, strip));
+    const source = bytes;
+    bytes = writeMetadata(source, values, writeOptions);
+    const { fields, mismatches } = verifyMetadata(
+      source,
+      bytes,
+      values,
+      writeOptions
+    );
+    const segments = segmentChanges(new Uint8Array(buffer), bytes);
+    const out =
+      bytes.byteOffset === 0 && bytes.byteLength === bytes.buffer.byteLength
+        ? bytes.buffer
+        : bytes.slice().buffer;
+    self.postMessage({ buffer: out, removed, fields, mismatches, segments }, [
+      out,
+    ]);
+  } catch (err) {
+    self.postMessage({ error: err?.message || "Failed to update metadata." });
+  }
+};
@@ -0,0 +1,53 @@
+// Send one job to a worker and wait for its reply; rejects when the signal aborts
+const callWorker = (worker, message, transfer, signal) =>
+  new Promise((resolve, reject) => {
+    const onAbort = () => reject(signal.reason);
+    signal.addEventListener("abort", onAbort, { once: true });
+    const done = () => signal.removeEventListener("abort", onAbort);
+    worker.onmessage = (e) => {
+      done();
+      if (e.data.error) reject(new Error(e.data.error));
+      else resolve(e.data);
+    };
+    worker.onerror = (e) => {
+      e.preventDefault();
+      done();
+      reject(new Error(e.message || "Worker failed."));
+    };
+    worker.postMessage(message, transfer);
+  });
+
+// Run `process(item, call)` for every item with at most `concurrency` metadata
+// workers busy at once. Each lane reads its next item only when its worker is
+// free, so at most `concurrency` images are held in memory. Aborting the signal
+// terminates the workers and skips the remaining items.
+export const processInWorkers = async (
+  items,
+  { concurrency, signal, process }
+) => {
+  const workers = Array.from(
+    { length: Math.max(1, Math.min(concurrency, items.length)) },
+    () =>
+      new Worker(new URL("./metadataWorker.js", import.meta.url), {
+        type: "module",
+      })
+  );
+  const terminate = () => workers.forEach((w) => w.terminate());
+  signal.addEventListener("abort", terminate, { once: true });
+  let next = 0;
+  try {
+    await Promise.all(
+      workers.map(async (worker) => {
+        while (next < items.length && !signal.aborted) {
+          const item = items[next++];
+          await process(item, (message, transfer) =>
+            callWorker(worker, message, transfer, signal)
+          );
+        }
+      })
+    );
+  } finally {
+    signal.removeEventListener("abort", terminate);
+    terminate();
+  }
+};